@@ -0,0 +1,133 @@
+/*
+ * Database migrations
+ *
+ * The schema is built by the numbered files in migrations/
+ * (<version>_<name>.js, e.g. 002_add_page_theme.js). Each exports
+ * `{ description, up(helpers) }`; `up` receives promise wrappers { run,
+ * get, all, columnExists } and is applied inside a transaction together
+ * with its row in schema_version, so a failing migration leaves no trace.
+ * Applied migrations must never be edited: change the schema by adding the
+ * next number.
+ *
+ * The server applies pending migrations on startup. They can also be run
+ * ahead of a deploy:
+ *
+ *   node migrate.js          apply pending migrations
+ *   node migrate.js status   show the current and latest version
+ */
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Migration modules sorted by version. Versions have to run 1, 2, 3, ...
+// without gaps, so a missing or duplicated file is caught early.
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(entry => entry.match)
+    .map(entry => ({ version: parseInt(entry.match[1]), name: entry.file.replace(/\.js$/, ''), ...require(path.join(MIGRATIONS_DIR, entry.file)) }))
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, idx) => {
+    if (migration.version !== idx + 1) throw new Error(`Migration numbering broken at ${migration.name} (expected version ${idx + 1})`);
+  });
+  return migrations;
+}
+
+// Newest schema version this code knows about
+function latestVersion() {
+  const migrations = loadMigrations();
+  return migrations.length ? migrations[migrations.length - 1].version : 0;
+}
+
+// Promise wrappers handed to the migrations
+function dbHelpers(db) {
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) return reject(err);
+      resolve(this);
+    });
+  });
+  const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+  const columnExists = async (table, column) => (await all(`PRAGMA table_info(${table})`)).some(col => col.name === column);
+  return { run, get, all, columnExists };
+}
+
+// Version of the database's schema; 0 for a new database
+async function schemaVersion(db) {
+  const { run, get } = dbHelpers(db);
+  await run(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`);
+  return (await get('SELECT MAX(version) AS version FROM schema_version')).version || 0;
+}
+
+/**
+ * Apply the pending migrations, one transaction each. Rejects without
+ * changing anything when the database was migrated by newer code.
+ * Resolves to the names of the applied migrations.
+ */
+async function migrate(db, log = console.log) {
+  const helpers = dbHelpers(db);
+  const migrations = loadMigrations();
+  const current = await schemaVersion(db);
+  const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+  if (current > latest) {
+    throw new Error(`Database schema version ${current} is newer than this code supports (${latest}); update the code before starting it`);
+  }
+  const applied = [];
+  for (const migration of migrations.filter(m => m.version > current)) {
+    await helpers.run('BEGIN TRANSACTION');
+    try {
+      await migration.up(helpers);
+      await helpers.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      await helpers.run('COMMIT');
+    } catch (err) {
+      await helpers.run('ROLLBACK').catch(() => {});
+      err.message = `Migration ${migration.name} failed: ${err.message}`;
+      throw err;
+    }
+    log(`Applied migration ${migration.name}: ${migration.description}`);
+    applied.push(migration.name);
+  }
+  return applied;
+}
+
+module.exports = { migrate, schemaVersion, latestVersion, dbHelpers };
+
+if (require.main === module) {
+  const db = new sqlite3.Database(path.join(__dirname, 'db.sqlite'));
+  const command = process.argv[2] || 'up';
+  const done = (err) => {
+    db.close();
+    if (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+    }
+  };
+  if (command === 'status') {
+    schemaVersion(db).then(current => {
+      const latest = latestVersion();
+      console.log(`Schema version ${current}, latest ${latest}${current < latest ? ` (${latest - current} pending)` : ''}`);
+      done(current > latest ? new Error('The database is newer than this code') : null);
+    }, done);
+  } else if (command === 'up') {
+    db.run('PRAGMA foreign_keys = ON', () => {
+      migrate(db).then(applied => {
+        if (!applied.length) console.log('Database is up to date');
+        done();
+      }, done);
+    });
+  } else {
+    done(new Error(`Unknown command "${command}" (use "up" or "status")`));
+  }
+}
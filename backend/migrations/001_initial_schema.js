@@ -0,0 +1,405 @@
+// 001: the schema and seed data from before migrations existed.
+//
+// The application manages multiple pages. Each page has its own navigation
+// links, welcome header, video frames, statistics, offer cards, gallery
+// images, locations and footer data, stored with a `page_id` referencing
+// the `pages` table.
+//
+// Databases created by older versions already have some of these tables,
+// possibly without the columns added later, so this migration creates what
+// is missing and adds the missing columns. On a new database it creates
+// everything and seeds the default admin account, the home page with its
+// content, the offer cards and the equipment inventory.
+const bcrypt = require('bcrypt');
+
+// Seeded account; it has to change its password on first login
+const DEFAULT_ADMIN_USERNAME = 'admin';
+const DEFAULT_ADMIN_PASSWORD = 'admin1234';
+
+// Default offer cards, copied from the hardcoded "Nasza oferta" section in
+// index.html. Image paths point at the frontend's static images folder.
+const DEFAULT_OFFERS = [
+  {
+    title: 'Fotobudka 360',
+    description: 'Wejdź do centrum uwagi z naszą obrotową fotobudką 360°! Twórz spektakularne, dynamiczne filmy w zwolnionym tempie. Idealne na wesela, imprezy firmowe i urodziny. Gwarantujemy niezapomniane wspomnienia i mnóstwo zabawy dla wszystkich gości.',
+    image_path: '/images/360.png'
+  },
+  {
+    title: 'Fotolustro',
+    description: 'Magiczne lustro, które robi zdjęcia! Interaktywne fotolustro z animacjami i zabawnymi dodatkami. Goście mogą pozować, robić selfie i od razu drukować pamiątkowe zdjęcia. Doskonałe na każdą okazję - od eleganckich eventów po szalone imprezy.',
+    image_path: '/images/mirror.jpg'
+  },
+  {
+    title: 'Ciężki dym',
+    description: 'Stwórz bajkową atmosferę z naszym efektem ciężkiego dymu! Gęsta, biała mgła unosi się przy ziemi, tworząc magiczny klimat podczas pierwszego tańca, wejścia pary młodej czy kluczowych momentów imprezy. Całkowicie bezpieczny i spektakularny.',
+    image_path: '/images/heavysmoke.jpg'
+  },
+  {
+    title: 'Fontanny iskier',
+    description: 'Wybuchaj radością z naszymi fontannami iskier! Zimne ognie tworzą oszałamiające efekty świetlne bez zagrożenia. Idealne na tort weselny, pierwsze wejście czy kulminacyjne momenty imprezy. Bezpieczne, efektowne i niezapomniane dla wszystkich gości.',
+    image_path: '/images/fountain.jpg'
+  },
+  {
+    title: 'Neonowe napisy',
+    description: 'Świeć jaśniej niż gwiazdy z naszymi neonowymi napisami LED! Personalizowane napisy z imionami, datami lub hasłami. Kolorowe podświetlenie tworzy niesamowity klimat i doskonałe tło do zdjęć. Każdy event stanie się wyjątkowy i Instagram-owy!',
+    image_path: '/images/neons.jpg'
+  }
+];
+
+
+// Columns added to existing tables before migrations, as [table, column,
+// definition]. Older databases get the ones they lack; existing accounts
+// become owners.
+const LATER_COLUMNS = [
+  ['admin_users', 'role', "TEXT NOT NULL DEFAULT 'owner'"],
+  ['admin_users', 'must_change_password', 'INTEGER NOT NULL DEFAULT 0'],
+  ['admin_users', 'last_login_at', 'TEXT'],
+  ['admin_users', 'totp_secret', 'TEXT'],
+  ['admin_users', 'totp_enabled', 'INTEGER NOT NULL DEFAULT 0'],
+  ['admin_users', 'totp_last_step', 'INTEGER'],
+  ['stats', 'position', 'INTEGER NOT NULL DEFAULT 0'],
+  ['gallery', 'position', 'INTEGER NOT NULL DEFAULT 0'],
+  ['video_frames', 'position', 'INTEGER NOT NULL DEFAULT 0'],
+  ['locations', 'position', 'INTEGER NOT NULL DEFAULT 0'],
+  ['gallery', 'caption', 'TEXT'],
+  ['gallery', 'album', 'TEXT'],
+  ['gallery', 'variants', 'TEXT']
+];
+
+const TABLES = [
+  // Authentication. Two-factor authentication: the base32 TOTP secret (set
+  // during enrolment, active once totp_enabled=1) and the last accepted
+  // time step, so a code cannot be used twice
+  `CREATE TABLE IF NOT EXISTS admin_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'owner',
+    must_change_password INTEGER NOT NULL DEFAULT 0,
+    last_login_at TEXT,
+    totp_secret TEXT,
+    totp_enabled INTEGER NOT NULL DEFAULT 0,
+    totp_last_step INTEGER
+  )`,
+
+  // One-time recovery codes for accounts with two-factor authentication,
+  // stored hashed
+  `CREATE TABLE IF NOT EXISTS recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at TEXT,
+    FOREIGN KEY(user_id) REFERENCES admin_users(id) ON DELETE CASCADE
+  )`,
+
+  // Failed and blocked login attempts, used for throttling and shown to
+  // owners. `reason` is 'invalid' (wrong credentials) or 'blocked' (refused
+  // while throttled); only invalid attempts count towards the limits.
+  `CREATE TABLE IF NOT EXISTS login_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT,
+    ip TEXT,
+    reason TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Login sessions. Access tokens carry the session id (sid) and are only
+  // accepted while the session is neither revoked nor expired; the refresh
+  // token secret is stored hashed and rotated on every refresh.
+  `CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    refresh_hash TEXT NOT NULL,
+    user_agent TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT,
+    FOREIGN KEY(user_id) REFERENCES admin_users(id) ON DELETE CASCADE
+  )`,
+
+  // Pages a non-owner account may work on (owners can edit every page)
+  `CREATE TABLE IF NOT EXISTS user_pages (
+    user_id INTEGER NOT NULL,
+    page_id INTEGER NOT NULL,
+    PRIMARY KEY (user_id, page_id),
+    FOREIGN KEY(user_id) REFERENCES admin_users(id) ON DELETE CASCADE,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+  )`,
+
+  // Pages
+  `CREATE TABLE IF NOT EXISTS pages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    slug TEXT UNIQUE NOT NULL
+  )`,
+
+  // Nav links per page
+  `CREATE TABLE IF NOT EXISTS nav (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id INTEGER NOT NULL,
+    facebook_url TEXT,
+    instagram_url TEXT,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+  )`,
+
+  // Video frames per page. Rows are shown by position, then insertion order.
+  `CREATE TABLE IF NOT EXISTS video_frames (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id INTEGER NOT NULL,
+    file_path TEXT,
+    alt_text TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+  )`,
+
+  // Welcome header per page
+  `CREATE TABLE IF NOT EXISTS welcome_header (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id INTEGER NOT NULL,
+    title TEXT,
+    subtitle TEXT,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+  )`,
+
+  // Statistics per page
+  `CREATE TABLE IF NOT EXISTS stats (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id INTEGER NOT NULL,
+    label TEXT,
+    value TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+  )`,
+
+  // Gallery images per page, with a caption, the album (event type) a
+  // photo belongs to and its responsive variants, JSON
+  // [{ width, format, path }]
+  `CREATE TABLE IF NOT EXISTS gallery (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id INTEGER NOT NULL,
+    file_path TEXT,
+    alt_text TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    caption TEXT,
+    album TEXT,
+    variants TEXT,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+  )`,
+
+  // Locations per page
+  `CREATE TABLE IF NOT EXISTS locations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id INTEGER NOT NULL,
+    name TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+  )`,
+
+  // Media library. Every uploaded photo and video is an asset here once;
+  // gallery and video frame rows of any page point at it by file_path. A
+  // file is removed only when neither the library nor any content,
+  // revision or published snapshot references it.
+  `CREATE TABLE IF NOT EXISTS media (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_path TEXT NOT NULL UNIQUE,
+    original_name TEXT,
+    kind TEXT NOT NULL,
+    mime TEXT,
+    size INTEGER,
+    width INTEGER,
+    height INTEGER,
+    variants TEXT,
+    uploaded_by INTEGER,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Offer cards ("Nasza oferta") per page
+  `CREATE TABLE IF NOT EXISTS offers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id INTEGER NOT NULL,
+    title TEXT,
+    description TEXT,
+    image_path TEXT,
+    position INTEGER DEFAULT 0,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+  )`,
+
+  // Footer per page
+  `CREATE TABLE IF NOT EXISTS footer (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id INTEGER NOT NULL,
+    facebook_url TEXT,
+    instagram_url TEXT,
+    phone TEXT,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+  )`,
+
+  // Change history of the page content sections. before_data/after_data
+  // hold JSON copies of the row (null when it did not exist), so any
+  // change can be rolled back.
+  `CREATE TABLE IF NOT EXISTS revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id INTEGER NOT NULL,
+    section TEXT NOT NULL,
+    record_id INTEGER,
+    action TEXT NOT NULL,
+    before_data TEXT,
+    after_data TEXT,
+    user_id INTEGER,
+    username TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+  )`,
+
+  // Published state of each page. The content tables above hold the draft
+  // that the admin panel edits; publishing stores a JSON snapshot of them
+  // here, and that snapshot is what /api/home serves to visitors.
+  `CREATE TABLE IF NOT EXISTS published_pages (
+    page_id INTEGER PRIMARY KEY,
+    content TEXT NOT NULL,
+    published_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+  )`,
+
+  // Contact form inquiries. `attractions` holds a JSON array of the offer
+  // titles the client ticked; `status` is one of INQUIRY_STATUSES.
+  `CREATE TABLE IF NOT EXISTS inquiries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id INTEGER,
+    name TEXT NOT NULL,
+    email TEXT,
+    phone TEXT,
+    event_date TEXT,
+    location TEXT,
+    attractions TEXT,
+    message TEXT,
+    status TEXT NOT NULL DEFAULT 'new',
+    is_read INTEGER NOT NULL DEFAULT 0,
+    notes TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE SET NULL
+  )`,
+
+  // Equipment inventory: every physical unit we can rent out (e.g. one 360
+  // booth, one mirror). Bookings reserve individual units.
+  `CREATE TABLE IF NOT EXISTS equipment (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT,
+    notes TEXT,
+    active INTEGER NOT NULL DEFAULT 1
+  )`,
+
+  // Bookings. start_at/end_at are local "YYYY-MM-DDTHH:MM" strings, which
+  // compare correctly as text. Cancelled bookings no longer block a unit.
+  `CREATE TABLE IF NOT EXISTS bookings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    inquiry_id INTEGER,
+    client_name TEXT NOT NULL,
+    client_email TEXT,
+    client_phone TEXT,
+    location TEXT,
+    start_at TEXT NOT NULL,
+    end_at TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'confirmed',
+    notes TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(inquiry_id) REFERENCES inquiries(id) ON DELETE SET NULL
+  )`,
+
+  // Units assigned to a booking
+  `CREATE TABLE IF NOT EXISTS booking_equipment (
+    booking_id INTEGER NOT NULL,
+    equipment_id INTEGER NOT NULL,
+    PRIMARY KEY (booking_id, equipment_id),
+    FOREIGN KEY(booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+    FOREIGN KEY(equipment_id) REFERENCES equipment(id) ON DELETE CASCADE
+  )`,
+
+  // Pricing. Prices are in PLN. An offer costs base_price plus hourly_rate
+  // for every hour of the event.
+  `CREATE TABLE IF NOT EXISTS offer_prices (
+    offer_id INTEGER PRIMARY KEY,
+    base_price REAL NOT NULL DEFAULT 0,
+    hourly_rate REAL NOT NULL DEFAULT 0,
+    FOREIGN KEY(offer_id) REFERENCES offers(id) ON DELETE CASCADE
+  )`,
+
+  // Travel fee charged for an event in a given location
+  `CREATE TABLE IF NOT EXISTS location_fees (
+    location_id INTEGER PRIMARY KEY,
+    travel_fee REAL NOT NULL DEFAULT 0,
+    FOREIGN KEY(location_id) REFERENCES locations(id) ON DELETE CASCADE
+  )`,
+
+  // Package bundles: a percentage discount applied when all of the
+  // package's offers are chosen together
+  `CREATE TABLE IF NOT EXISTS price_packages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    discount_percent REAL NOT NULL DEFAULT 0,
+    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS price_package_offers (
+    package_id INTEGER NOT NULL,
+    offer_id INTEGER NOT NULL,
+    PRIMARY KEY (package_id, offer_id),
+    FOREIGN KEY(package_id) REFERENCES price_packages(id) ON DELETE CASCADE,
+    FOREIGN KEY(offer_id) REFERENCES offers(id) ON DELETE CASCADE
+  )`,
+
+  // Site-wide settings stored as key/value pairs (defaults are
+  // DEFAULT_SETTINGS in server.js)
+  `CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  )`
+];
+
+module.exports = {
+  description: 'Initial schema and seed data',
+  async up({ run, get, all, columnExists }) {
+    for (const sql of TABLES) await run(sql);
+    for (const [table, column, definition] of LATER_COLUMNS) {
+      if (!await columnExists(table, column)) await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+
+    // One unit per default offer if the inventory is empty
+    if ((await get('SELECT COUNT(*) AS count FROM equipment')).count === 0) {
+      for (const offer of DEFAULT_OFFERS) {
+        await run('INSERT INTO equipment (name, type) VALUES (?, ?)', [offer.title, offer.title]);
+      }
+    }
+
+    // The default admin account if none exists
+    if ((await get('SELECT COUNT(*) AS count FROM admin_users')).count === 0) {
+      const hash = await bcrypt.hash(DEFAULT_ADMIN_PASSWORD, 10);
+      await run("INSERT INTO admin_users (username, password_hash, role, must_change_password) VALUES (?, ?, 'owner', 1)", [DEFAULT_ADMIN_USERNAME, hash]);
+      console.log(`Default admin account created: ${DEFAULT_ADMIN_USERNAME} / ${DEFAULT_ADMIN_PASSWORD}`);
+    }
+
+    // A default page and its content if no pages exist
+    if ((await get('SELECT COUNT(*) AS count FROM pages')).count === 0) {
+      const pageId = (await run('INSERT INTO pages (name, slug) VALUES (?, ?)', ['Strona główna', 'home'])).lastID;
+      await run('INSERT INTO nav (page_id, facebook_url, instagram_url) VALUES (?, ?, ?)', [pageId, '', '']);
+      await run('INSERT INTO welcome_header (page_id, title, subtitle) VALUES (?, ?, ?)', [pageId, 'Witamy w Fotobudka OG Event Spot!', 'Dopełniamy, by na Twoim wydarzeniu nie zabrakło atrakcji!']);
+      await run('INSERT INTO footer (page_id, facebook_url, instagram_url, phone) VALUES (?, ?, ?, ?)', [pageId, '', '', '']);
+      await run('INSERT INTO stats (page_id, label, value, position) VALUES (?, ?, ?, ?)', [pageId, 'Zadowolonych klientów', '0', 0]);
+      await run('INSERT INTO stats (page_id, label, value, position) VALUES (?, ?, ?, ?)', [pageId, 'Lat na rynku', '0', 1]);
+    }
+
+    // The default offer cards on every page when there are none, which
+    // covers the new home page and databases created before the offers
+    // table existed
+    if ((await get('SELECT COUNT(*) AS count FROM offers')).count === 0) {
+      for (const page of await all('SELECT id FROM pages')) {
+        for (const [idx, offer] of DEFAULT_OFFERS.entries()) {
+          await run('INSERT INTO offers (page_id, title, description, image_path, position) VALUES (?, ?, ?, ?, ?)',
+            [page.id, offer.title, offer.description, offer.image_path, idx]);
+        }
+      }
+    }
+  }
+};
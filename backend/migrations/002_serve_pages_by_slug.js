@@ -0,0 +1,20 @@
+// 002: pages are served by the backend at /<slug> instead of being written
+// to frontend/<slug>/<slug>.html when they are created.
+//
+// page_redirects remembers the slugs a page had before it was renamed, so
+// links to the old address lead to the page's current one. The old
+// /<slug>/<slug>.html addresses are redirected to /<slug> by the server.
+//
+// The folders generateStaticPage wrote are left on disk; they are removed
+// with `npm run retire-pages` (see retireGeneratedPages.js).
+module.exports = {
+  description: 'Serve pages by slug',
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS page_redirects (
+      slug TEXT PRIMARY KEY,
+      page_id INTEGER NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
+    )`);
+  }
+};
@@ -0,0 +1,9 @@
+// 003: inquiries remember the IP address they were sent from, so the public
+// contact form can limit how many a single address sends within a window.
+module.exports = {
+  description: 'Record the sender IP of inquiries',
+  async up({ run, columnExists }) {
+    if (!await columnExists('inquiries', 'ip')) await run('ALTER TABLE inquiries ADD COLUMN ip TEXT');
+    await run('CREATE INDEX IF NOT EXISTS idx_inquiries_ip ON inquiries (ip, created_at)');
+  }
+};
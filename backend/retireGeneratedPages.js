@@ -0,0 +1,52 @@
+/*
+ * Removal of the old generated page folders
+ *
+ * Before pages were served at /<slug>, creating a page wrote
+ * frontend/<slug>/<slug>.html. Those files are no longer used (their
+ * addresses redirect to /<slug>) and can be removed once a deploy has
+ * moved to the new routes. A folder is only touched when its HTML file
+ * carries the PAGE_ID script of a generated page, and only removed once
+ * nothing else is left in it.
+ *
+ *   node retireGeneratedPages.js            list the files that would go
+ *   node retireGeneratedPages.js --delete   remove them
+ */
+const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+const FRONTEND_DIR = path.join(__dirname, '..', 'frontend');
+
+// frontend/<slug>/<slug>.html files of the given pages that were generated
+function generatedPageFiles(pages) {
+  return pages
+    .map(page => path.join(FRONTEND_DIR, page.slug, `${page.slug}.html`))
+    .filter(file => fs.existsSync(file) && /window\.PAGE_ID\s*=/.test(fs.readFileSync(file, 'utf8')));
+}
+
+function retireFile(file) {
+  fs.unlinkSync(file);
+  const dir = path.dirname(file);
+  if (!fs.readdirSync(dir).length) fs.rmdirSync(dir);
+}
+
+if (require.main === module) {
+  const remove = process.argv[2] === '--delete';
+  const db = new sqlite3.Database(path.join(__dirname, 'db.sqlite'), sqlite3.OPEN_READONLY);
+  // The home page never had a folder of its own
+  db.all('SELECT slug FROM pages WHERE id != 1', [], (err, pages) => {
+    db.close();
+    if (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+      return;
+    }
+    const files = generatedPageFiles(pages);
+    files.forEach(file => {
+      if (remove) retireFile(file);
+      console.log(`${remove ? 'Removed' : 'Would remove'} ${path.relative(path.join(FRONTEND_DIR, '..'), file)}`);
+    });
+    if (!files.length) console.log('No generated page folders left');
+    else if (!remove) console.log('Run with --delete to remove them');
+  });
+}
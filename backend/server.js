@@ -4,8 +4,15 @@ const sqlite3 = require('sqlite3').verbose();
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const multer = require('multer');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+const tar = require('tar');
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
 const path = require('path');
+const { migrate, latestVersion, dbHelpers } = require('./migrate');
+const { buildSite, planSite, planChanges, renderPage, SITE_DIR, FRONTEND_DIR, TEMPLATE_PATH } = require('./siteBuilder');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -17,189 +24,1035 @@ app.use(express.json());
 // Serve uploaded files for the frontend (e.g. video frames and gallery images)
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
+// The frontend's own files; the pages themselves are rendered by the routes
+// at the end of this file
+const FRONTEND_ASSETS = ['adminPanel', 'adminLoginPanel', 'js', 'style', 'images', 'videos', 'fonts'];
+FRONTEND_ASSETS.forEach(dir => app.use(`/${dir}`, express.static(path.join(FRONTEND_DIR, dir))));
+app.get('/script.js', (req, res) => res.sendFile(path.join(FRONTEND_DIR, 'script.js')));
+
 // Setup SQLite database
-const db = new sqlite3.Database(path.join(__dirname, 'db.sqlite'));
-
-/*
- * Database schema
- *
- * The application supports managing multiple pages. Each page has its own
- * navigation links, welcome header, video frames, statistics, gallery
- * images, locations and footer data. This is achieved by storing a
- * `page_id` on each table that references the `pages` table. On
- * initialisation the server creates a default "Strona główna" page
- * with some default data so the admin panel has something to edit.
- */
-db.serialize(() => {
-  // Authentication
-  db.run(`CREATE TABLE IF NOT EXISTS admin_users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE NOT NULL,
-    password_hash TEXT NOT NULL
-  )`);
-
-  // Pages
-  db.run(`CREATE TABLE IF NOT EXISTS pages (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    slug TEXT UNIQUE NOT NULL
-  )`);
-
-  // Nav links per page
-  db.run(`CREATE TABLE IF NOT EXISTS nav (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    page_id INTEGER NOT NULL,
-    facebook_url TEXT,
-    instagram_url TEXT,
-    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
-  )`);
-
-  // Video frames per page
-  db.run(`CREATE TABLE IF NOT EXISTS video_frames (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    page_id INTEGER NOT NULL,
-    file_path TEXT,
-    alt_text TEXT,
-    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
-  )`);
-
-  // Welcome header per page
-  db.run(`CREATE TABLE IF NOT EXISTS welcome_header (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    page_id INTEGER NOT NULL,
-    title TEXT,
-    subtitle TEXT,
-    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
-  )`);
-
-  // Statistics per page
-  db.run(`CREATE TABLE IF NOT EXISTS stats (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    page_id INTEGER NOT NULL,
-    label TEXT,
-    value TEXT,
-    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
-  )`);
-
-  // Gallery images per page
-  db.run(`CREATE TABLE IF NOT EXISTS gallery (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    page_id INTEGER NOT NULL,
-    file_path TEXT,
-    alt_text TEXT,
-    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
-  )`);
-
-  // Locations per page
-  db.run(`CREATE TABLE IF NOT EXISTS locations (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    page_id INTEGER NOT NULL,
-    name TEXT,
-    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
-  )`);
-
-  // Footer per page
-  db.run(`CREATE TABLE IF NOT EXISTS footer (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    page_id INTEGER NOT NULL,
-    facebook_url TEXT,
-    instagram_url TEXT,
-    phone TEXT,
-    FOREIGN KEY(page_id) REFERENCES pages(id) ON DELETE CASCADE
-  )`);
-
-  // Seed a default admin account if none exists
-  db.get('SELECT COUNT(*) AS count FROM admin_users', [], (err, row) => {
-    if (row && row.count === 0) {
-      const defaultPassword = 'admin1234';
-      bcrypt.hash(defaultPassword, 10, (hashErr, hash) => {
-        db.run('INSERT INTO admin_users (username, password_hash) VALUES (?, ?)', ['admin', hash]);
-        console.log('Default admin account created: admin / admin1234');
-      });
-    }
+const DB_PATH = path.join(__dirname, 'db.sqlite');
+// How long a write waits for another connection's transaction to finish
+const DB_BUSY_TIMEOUT_MS = 10000;
+const db = new sqlite3.Database(DB_PATH);
+db.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+
+// Seeded account (see migrations/001_initial_schema.js); it has to change
+// its password on first login
+const DEFAULT_ADMIN_USERNAME = 'admin';
+const DEFAULT_ADMIN_PASSWORD = 'admin1234';
+
+// Default values for the settings table. weekend_days lists the days that
+// carry the weekend surcharge, as JavaScript day numbers (0 = Sunday).
+const DEFAULT_SETTINGS = {
+  weekend_surcharge_percent: '0',
+  weekend_days: '6,0'
+};
+
+// The schema is built by the numbered migrations in migrations/ (see
+// migrate.js); pending ones are applied on startup, before the server
+// accepts requests. SQLite ignores FOREIGN KEY clauses unless this is
+// enabled on every connection. With it on, deleting a page cascades to
+// its content.
+db.run('PRAGMA foreign_keys = ON');
+
+// Promise wrappers around the callback API, for multi-step operations such
+// as cloning a page where nested callbacks would get unwieldy.
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) return reject(err);
+      resolve(this);
+    });
+  });
+}
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
   });
+}
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
 
-  // Seed a default page and its content if no pages exist
-  db.get('SELECT COUNT(*) AS count FROM pages', [], (err, row) => {
-    if (row && row.count === 0) {
-      db.run('INSERT INTO pages (name, slug) VALUES (?, ?)', ['Strona główna', 'home'], function(err2) {
-        const pageId = this.lastID;
-        // Insert empty nav
-        db.run('INSERT INTO nav (page_id, facebook_url, instagram_url) VALUES (?, ?, ?)', [pageId, '', '']);
-        // Insert welcome header
-        db.run('INSERT INTO welcome_header (page_id, title, subtitle) VALUES (?, ?, ?)', [pageId, 'Witamy w Fotobudka OG Event Spot!', 'Dopełniamy, by na Twoim wydarzeniu nie zabrakło atrakcji!']);
-        // Insert footer
-        db.run('INSERT INTO footer (page_id, facebook_url, instagram_url, phone) VALUES (?, ?, ?, ?)', [pageId, '', '', '']);
-        // Insert default stats
-        const stmt = db.prepare('INSERT INTO stats (page_id, label, value) VALUES (?, ?, ?)');
-        stmt.run(pageId, 'Zadowolonych klientów', '0');
-        stmt.run(pageId, 'Lat na rynku', '0');
-        stmt.finalize();
-      });
+/**
+ * Run `work` in a transaction on a connection of its own. Transactions on
+ * the shared `db` would take in whatever other requests write meanwhile and
+ * commit or roll it back with them; here those writes wait until the
+ * transaction ends. `work` receives { run, get, all } bound to the
+ * connection and must not write through `db`, which would wait for itself.
+ * Resolves to what `work` resolves to, after the commit.
+ */
+async function withTransaction(work) {
+  const conn = new sqlite3.Database(DB_PATH);
+  conn.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+  const helpers = dbHelpers(conn);
+  try {
+    await helpers.run('PRAGMA foreign_keys = ON');
+    // IMMEDIATE takes the write lock up front, so the transaction cannot
+    // fail halfway on a lock held by another connection
+    await helpers.run('BEGIN IMMEDIATE');
+    try {
+      const result = await work(helpers);
+      await helpers.run('COMMIT');
+      return result;
+    } catch (err) {
+      await helpers.run('ROLLBACK').catch(() => {});
+      throw err;
     }
-  });
-});
+  } finally {
+    conn.close();
+  }
+}
 
 // Multer setup for file uploads
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+
+// Random file name for a new file in UPLOAD_DIR, keeping the extension
+function uniqueUploadName(ext) {
+  return Date.now() + '-' + Math.round(Math.random() * 1e9) + ext;
+}
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, 'uploads');
-    fs.mkdirSync(uploadDir, { recursive: true });
-    cb(null, uploadDir);
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    cb(null, UPLOAD_DIR);
   },
   filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    const uniqueName = Date.now() + '-' + Math.round(Math.random() * 1e9) + ext;
-    cb(null, uniqueName);
+    // Remembered so a size limit error can name the file being written
+    req.uploadingFile = file.originalname;
+    cb(null, uniqueUploadName(path.extname(file.originalname)));
   }
 });
-const upload = multer({ storage });
 
-// JWT authentication middleware
+// Accepted upload types, recognized by their first bytes rather than the
+// name or Content-Type the client sends. `ext` replaces the client's
+// extension. ISO media files (MP4, MOV, AVIF) are told apart by the brand
+// in their ftyp box.
+const UPLOAD_TYPES = [
+  { kind: 'image', mime: 'image/jpeg', ext: '.jpg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { kind: 'image', mime: 'image/png', ext: '.png', test: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { kind: 'image', mime: 'image/gif', ext: '.gif', test: b => /^GIF8[79]a/.test(b.toString('latin1', 0, 6)) },
+  { kind: 'image', mime: 'image/webp', ext: '.webp', test: b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { kind: 'image', mime: 'image/avif', ext: '.avif', test: b => isoBrand(b) === 'avif' || isoBrand(b) === 'avis' },
+  { kind: 'video', mime: 'video/quicktime', ext: '.mov', test: b => isoBrand(b) === 'qt  ' },
+  { kind: 'video', mime: 'video/mp4', ext: '.mp4', test: b => ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash'].includes(isoBrand(b)) },
+  { kind: 'video', mime: 'video/webm', ext: '.webm', test: b => b.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])) }
+];
+
+// Executables are refused outright, whatever they are named
+const EXECUTABLE_SIGNATURES = [
+  Buffer.from('MZ'), // Windows PE
+  Buffer.from([0x7f, 0x45, 0x4c, 0x46]), // ELF
+  Buffer.from([0xfe, 0xed, 0xfa, 0xce]), Buffer.from([0xfe, 0xed, 0xfa, 0xcf]), // Mach-O
+  Buffer.from([0xce, 0xfa, 0xed, 0xfe]), Buffer.from([0xcf, 0xfa, 0xed, 0xfe]),
+  Buffer.from([0xca, 0xfe, 0xba, 0xbe]), // Mach-O universal, Java class
+  Buffer.from('#!') // scripts
+];
+
+// SVG is refused as well: it can carry scripts in more ways than a filter
+// can catch, and uploads are served from the admin panel's origin
+const SVG_PATTERN = /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i;
+
+// Size limits per file (by detected kind) and for all uploads of a page
+const MB = 1024 * 1024;
+const UPLOAD_MAX_BYTES = { image: 15 * MB, video: 150 * MB };
+const PAGE_STORAGE_QUOTA = 500 * MB;
+const LIBRARY_STORAGE_QUOTA = 2048 * MB;
+
+// Brand of an ISO base media file (ftyp box at offset 4), or null
+function isoBrand(b) {
+  return b.toString('latin1', 4, 8) === 'ftyp' ? b.toString('latin1', 8, 12) : null;
+}
+
+/**
+ * Check an uploaded file's content against the kinds an endpoint accepts.
+ * Returns { type } for a valid file or { error } with a message for the
+ * admin panel.
+ */
+async function sniffUpload(file, kinds) {
+  const handle = await fs.promises.open(file.path, 'r');
+  let head;
+  try {
+    const length = Math.min(file.size, 4100);
+    head = Buffer.alloc(length);
+    await handle.read(head, 0, length, 0);
+  } finally {
+    await handle.close();
+  }
+  if (EXECUTABLE_SIGNATURES.some(sig => head.subarray(0, sig.length).equals(sig))) {
+    return { error: 'Pliki wykonywalne są niedozwolone' };
+  }
+  if (SVG_PATTERN.test(head.toString('utf8').replace(/^\uFEFF/, ''))) {
+    return { error: 'Pliki SVG są niedozwolone' };
+  }
+  const type = UPLOAD_TYPES.find(t => t.test(head));
+  if (!type || !kinds.includes(type.kind)) {
+    return { error: kinds.includes('video') ? 'Dozwolone są tylko obrazy i filmy' : 'Dozwolone są tylko obrazy' };
+  }
+  if (file.size > UPLOAD_MAX_BYTES[type.kind]) {
+    return { error: `Plik jest za duży (maks. ${UPLOAD_MAX_BYTES[type.kind] / MB} MB)` };
+  }
+  return { type };
+}
+
+// Upload paths (with image variants) a page's content references
+async function pageUploads(pageId, all = dbAll) {
+  const files = new Set();
+  (await all('SELECT file_path, variants FROM gallery WHERE page_id=?', [pageId])).forEach(row => {
+    files.add(row.file_path);
+    (row.variants ? JSON.parse(row.variants) : []).forEach(v => files.add(v.path));
+  });
+  (await all('SELECT file_path FROM video_frames WHERE page_id=?', [pageId])).forEach(row => files.add(row.file_path));
+  (await all('SELECT image_path FROM offers WHERE page_id=?', [pageId])).forEach(row => files.add(row.image_path));
+  return [...files].filter(file => file && file.startsWith('/uploads/'));
+}
+
+// Total size of the given upload paths; missing files take no space
+async function uploadsSize(files) {
+  let total = 0;
+  for (const file of files) {
+    try {
+      total += (await fs.promises.stat(path.join(__dirname, file))).size;
+    } catch (err) {
+      // Reported by the upload maintenance job
+    }
+  }
+  return total;
+}
+
+// Bytes taken by the uploads a page's content references
+async function pageStorageUsage(pageId) {
+  return uploadsSize(await pageUploads(pageId));
+}
+
+// Storage quotas enforced by acceptUploads: the uploads one page uses, and
+// the media library as a whole
+const PAGE_QUOTA = {
+  limit: PAGE_STORAGE_QUOTA,
+  usage: req => pageStorageUsage(req.pageId || parseInt(req.query.pageId) || 1),
+  message: `Przekroczono limit miejsca dla strony (${PAGE_STORAGE_QUOTA / MB} MB)`
+};
+const LIBRARY_QUOTA = {
+  limit: LIBRARY_STORAGE_QUOTA,
+  usage: () => dbGet('SELECT COALESCE(SUM(size), 0) AS total FROM media').then(row => row.total),
+  message: `Przekroczono limit miejsca biblioteki mediów (${LIBRARY_STORAGE_QUOTA / MB} MB)`
+};
+
+/**
+ * Middleware accepting uploads in `field` (up to `maxCount` files, or a
+ * single file when maxCount is 1) of the given kinds ('image', 'video').
+ * Every file is checked by content and renamed to its real extension, and
+ * the storage quota is enforced. If any file fails, all of them are removed
+ * and the response lists the error of each failing file:
+ * `{ message, errors: [{ file, message }] }`. Files of a request that
+ * fails later on are removed as well.
+ */
+function acceptUploads(field, maxCount, kinds, quota = PAGE_QUOTA) {
+  const multerUpload = multer({
+    storage,
+    limits: { fileSize: Math.max(...kinds.map(kind => UPLOAD_MAX_BYTES[kind])), files: maxCount }
+  });
+  const receive = maxCount === 1 ? multerUpload.single(field) : multerUpload.array(field, maxCount);
+  return (req, res, next) => {
+    receive(req, res, async (err) => {
+      // Multer removes what it wrote itself when it fails
+      if (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          const message = `Plik jest za duży (maks. ${Math.max(...kinds.map(kind => UPLOAD_MAX_BYTES[kind])) / MB} MB)`;
+          return res.status(413).json({ message, errors: [{ file: req.uploadingFile, message }] });
+        }
+        const message = err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Za dużo plików (maks. ${maxCount})`
+          : 'Błąd przesyłania pliku';
+        return res.status(400).json({ message, errors: [] });
+      }
+      const files = req.files || (req.file ? [req.file] : []);
+      const removeAll = () => files.forEach(file => fs.unlink(file.path, () => {}));
+      try {
+        const errors = [];
+        for (const file of files) {
+          const result = await sniffUpload(file, kinds);
+          if (result.error) {
+            errors.push({ file: file.originalname, message: result.error });
+            continue;
+          }
+          // Store under the detected type's extension, not the client's
+          const filename = path.basename(file.filename, path.extname(file.filename)) + result.type.ext;
+          await fs.promises.rename(file.path, path.join(UPLOAD_DIR, filename));
+          Object.assign(file, { filename, path: path.join(UPLOAD_DIR, filename), mimetype: result.type.mime, kind: result.type.kind });
+        }
+        if (errors.length) {
+          removeAll();
+          return res.status(400).json({ message: 'Niektóre pliki zostały odrzucone', errors });
+        }
+        const incoming = files.reduce((sum, file) => sum + file.size, 0);
+        if (incoming && await quota.usage(req) + incoming > quota.limit) {
+          removeAll();
+          return res.status(413).json({
+            message: quota.message,
+            errors: files.map(file => ({ file: file.originalname, message: 'Brak miejsca' }))
+          });
+        }
+      } catch (err2) {
+        removeAll();
+        return res.status(500).json({ message: 'Błąd przesyłania pliku', errors: [] });
+      }
+      res.on('finish', () => {
+        if (res.statusCode >= 400) removeAll();
+      });
+      next();
+    });
+  };
+}
+
+// Gallery photos are re-encoded on upload: rotated upright according to
+// their EXIF orientation, stripped of all metadata (EXIF, GPS) and capped
+// at IMAGE_MAX_WIDTH. Smaller copies in every IMAGE_FORMATS format are
+// written next to the original as <name>-<width>w.<format>.
+const IMAGE_MAX_WIDTH = 2560;
+const IMAGE_WIDTHS = [320, 640, 1280];
+const IMAGE_FORMATS = ['avif', 'webp'];
+const IMAGE_ENCODERS = {
+  avif: img => img.avif({ quality: 50, effort: 2 }),
+  webp: img => img.webp({ quality: 75 })
+};
+
+// Path of one responsive variant of an uploaded image
+function variantPath(filePath, width, format) {
+  return `${filePath.slice(0, -path.extname(filePath).length)}-${width}w.${format}`;
+}
+
+/**
+ * Write the responsive variants of an uploaded image. Widths the image
+ * does not reach are skipped. Resolves to the list stored with the row.
+ */
+async function createImageVariants(filePath) {
+  const input = await fs.promises.readFile(path.join(__dirname, filePath));
+  const meta = await sharp(input).metadata();
+  // Orientations 5-8 are rotated by 90 degrees, so width and height swap
+  const width = meta.orientation >= 5 ? meta.height : meta.width;
+  const variants = [];
+  for (const w of IMAGE_WIDTHS.filter(w => w < width)) {
+    for (const format of IMAGE_FORMATS) {
+      const out = variantPath(filePath, w, format);
+      await IMAGE_ENCODERS[format](sharp(input).rotate().resize({ width: w })).toFile(path.join(__dirname, out));
+      variants.push({ width: w, format, path: out });
+    }
+  }
+  return variants;
+}
+
+/**
+ * Normalize a freshly uploaded photo and create its variants. PNGs stay
+ * PNG (transparency), everything else becomes JPEG, so the stored path may
+ * change extension. Rejects when the file is not a readable image.
+ */
+async function processUploadedImage(file) {
+  const source = file.path;
+  const meta = await sharp(source).metadata();
+  const ext = meta.format === 'png' ? '.png' : '.jpg';
+  const fileName = path.basename(file.filename, path.extname(file.filename)) + ext;
+  let image = sharp(source).rotate().resize({ width: IMAGE_MAX_WIDTH, withoutEnlargement: true });
+  image = ext === '.png' ? image.png() : image.jpeg({ quality: 85, mozjpeg: true });
+  const buffer = await image.toBuffer();
+  await fs.promises.writeFile(path.join(UPLOAD_DIR, fileName), buffer);
+  if (fileName !== file.filename) await fs.promises.unlink(source);
+  const filePath = '/uploads/' + fileName;
+  return { file_path: filePath, variants: await createImageVariants(filePath) };
+}
+
+// Remove an upload together with any responsive variants it has
+function unlinkUpload(filePath) {
+  // A file that is already gone is fine; anything else is left for the
+  // upload maintenance job to find
+  const logError = file => err => {
+    if (err && err.code !== 'ENOENT') console.error(`Could not remove ${file}:`, err.message);
+  };
+  fs.unlink(path.join(__dirname, filePath), logError(filePath));
+  IMAGE_WIDTHS.forEach(w => IMAGE_FORMATS.forEach(format => {
+    const variant = variantPath(filePath, w, format);
+    fs.unlink(path.join(__dirname, variant), logError(variant));
+  }));
+}
+
+// Gallery rows keep their variants as JSON text; the API returns a list
+function galleryItem(row) {
+  return { ...row, variants: row.variants ? JSON.parse(row.variants) : [] };
+}
+
+// Account roles, carried in the JWT. Owners manage users, editors change
+// content and read-only accounts can only look.
+const USER_ROLES = ['owner', 'editor', 'readonly'];
+// Writes every account may make to itself, readonly ones included: signing
+// out everywhere and managing two-factor authentication
+const SELF_SERVICE_ROUTES = /^\/api\/(logout-all|account\/2fa\/[a-z-]+)$/;
+const MIN_PASSWORD_LENGTH = 8;
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_DAYS = 30;
+
+function signAccessToken(user, sid) {
+  return jwt.sign({ id: user.id, username: user.username, role: user.role, sid }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Response body for a signed-in session
+function sessionTokens(user, sid, secret) {
+  return { token: signAccessToken(user, sid), refresh_token: `${sid}.${secret}`, role: user.role };
+}
+
+// Start a new session for the user and pass its tokens to cb
+function createSession(user, req, cb) {
+  const sid = crypto.randomBytes(16).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+  db.run(
+    `INSERT INTO sessions (id, user_id, refresh_hash, user_agent, expires_at) VALUES (?, ?, ?, ?, datetime('now', '+${REFRESH_TOKEN_DAYS} days'))`,
+    [sid, user.id, hashToken(secret), req.headers['user-agent'] || ''],
+    err => cb(err, err ? null : sessionTokens(user, sid, secret))
+  );
+}
+
+// Revoke every active session of a user, except `keepSid` if given
+function revokeSessions(userId, keepSid, cb) {
+  db.run(
+    "UPDATE sessions SET revoked_at=CURRENT_TIMESTAMP WHERE user_id=? AND revoked_at IS NULL AND id<>?",
+    [userId, keepSid || ''],
+    err => { if (cb) cb(err); }
+  );
+}
+
+// Look up an active (not revoked, not expired) session by id
+function getActiveSession(sid, cb) {
+  db.get("SELECT * FROM sessions WHERE id=? AND revoked_at IS NULL AND expires_at > datetime('now')", [sid], cb);
+}
+
+// JWT authentication middleware. Invalid, expired and revoked tokens get
+// 401 so the panel knows to refresh; read-only accounts are limited to GET
+// requests.
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
   if (!token) return res.status(401).json({ message: 'Brak tokenu' });
   jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ message: 'Nieprawidłowy token' });
-    req.user = user;
+    // Tokens issued for a specific purpose (e.g. preview links) are not
+    // admin sessions
+    if (err || user.purpose || !user.sid) return res.status(401).json({ message: 'Nieprawidłowy token' });
+    getActiveSession(user.sid, (err2, session) => {
+      if (!session) return res.status(401).json({ message: 'Sesja wygasła' });
+      if (!USER_ROLES.includes(user.role)) user.role = 'readonly';
+      if (user.role === 'readonly' && req.method !== 'GET' && !SELF_SERVICE_ROUTES.test(req.path)) {
+        return res.status(403).json({ message: 'Brak uprawnień' });
+      }
+      req.user = user;
+      next();
+    });
+  });
+}
+
+// Restrict a route to the given roles; use after authenticateToken
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) return res.status(403).json({ message: 'Brak uprawnień' });
     next();
+  };
+}
+
+// Whether the user may edit the page. Owners may edit all pages, other
+// accounts only the ones granted to them in user_pages.
+function canAccessPage(user, pageId, cb) {
+  if (user.role === 'owner') return cb(true);
+  db.get('SELECT 1 FROM user_pages WHERE user_id=? AND page_id=?', [user.id, pageId], (err, row) => cb(!!row));
+}
+
+// Page id resolvers for requirePageAccess
+const pageFromQuery = (req, cb) => cb(parseInt(req.query.pageId) || 1);
+const pageFromParam = (req, cb) => cb(parseInt(req.params.id));
+function pageFromRow(table, param = 'id') {
+  return (req, cb) => {
+    db.get(`SELECT page_id FROM ${table} WHERE id=?`, [req.params[param]], (err, row) => cb(row ? row.page_id : null));
+  };
+}
+
+/**
+ * Reject the request unless the user may edit the page it targets; use
+ * after authenticateToken. `resolvePageId` finds the page from the request.
+ * Unknown records pass through so the route can answer 404.
+ */
+function requirePageAccess(resolvePageId) {
+  return (req, res, next) => {
+    resolvePageId(req, pageId => {
+      if (pageId === null) return next();
+      canAccessPage(req.user, pageId, allowed => {
+        if (!allowed) return res.status(403).json({ message: 'Brak dostępu do tej strony' });
+        // Later middleware (upload quotas) needs the page a row belongs to
+        req.pageId = pageId;
+        next();
+      });
+    });
+  };
+}
+
+// Replace the list of pages a user may edit
+function saveUserPages(userId, pageIds, cb) {
+  db.run('DELETE FROM user_pages WHERE user_id=?', [userId], () => {
+    const stmt = db.prepare('INSERT OR IGNORE INTO user_pages (user_id, page_id) SELECT ?, id FROM pages WHERE id=?');
+    pageIds.forEach(pageId => stmt.run(userId, pageId));
+    stmt.finalize(cb);
+  });
+}
+
+// Returns an error message when the password is too weak to be set
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Hasło musi mieć co najmniej ${MIN_PASSWORD_LENGTH} znaków`;
+  }
+  if (password === DEFAULT_ADMIN_PASSWORD) return 'Nie można użyć domyślnego hasła';
+  return null;
+}
+
+// Login throttling. Within the window, the first few failures are free;
+// after that each attempt has to wait twice as long as the previous one
+// (capped), and too many failures lock the username or IP until the
+// window has passed since the last failure. A successful login resets the
+// username counter.
+const LOGIN_WINDOW_MINUTES = 15;
+const LOGIN_MAX_DELAY_SECONDS = 60;
+// An IP may be shared by several people (office, mobile carrier), so it
+// gets more room than a single username
+const LOGIN_LIMITS_PER_USERNAME = { free: 3, lockout: 10 };
+const LOGIN_LIMITS_PER_IP = { free: 10, lockout: 30 };
+const LOGIN_FAILED_MESSAGE = 'Nieprawidłowy login lub hasło';
+// Attempts older than the window only serve the owners' log, which keeps
+// this many of the latest; the rest are deleted as new ones are recorded
+const LOGIN_LOG_MAX_ROWS = 5000;
+
+// Compared against when the username is unknown, so both cases take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('invalid-password-placeholder', 10);
+
+// Seconds to wait before the next attempt, given recent failures
+function loginWaitSeconds(failures, lastFailure, limits, now) {
+  if (failures >= limits.lockout) return lastFailure + LOGIN_WINDOW_MINUTES * 60 - now;
+  if (failures < limits.free) return 0;
+  const delay = Math.min(2 ** (failures - limits.free), LOGIN_MAX_DELAY_SECONDS);
+  return lastFailure + delay - now;
+}
+
+// Pass the number of seconds the client must still wait to cb (0 = allowed)
+function checkLoginThrottle(username, ip, cb) {
+  const windowStart = `datetime('now', '-${LOGIN_WINDOW_MINUTES} minutes')`;
+  const userSql = `SELECT COUNT(*) AS failures, CAST(strftime('%s', MAX(created_at)) AS INTEGER) AS last_failure
+    FROM login_attempts WHERE reason='invalid' AND username=? AND created_at > ${windowStart}
+    AND created_at > COALESCE((SELECT last_login_at FROM admin_users WHERE username=?), '')`;
+  const ipSql = `SELECT COUNT(*) AS failures, CAST(strftime('%s', MAX(created_at)) AS INTEGER) AS last_failure
+    FROM login_attempts WHERE reason='invalid' AND ip=? AND created_at > ${windowStart}`;
+  db.get(userSql, [username, username], (err, byUser) => {
+    db.get(ipSql, [ip], (err2, byIp) => {
+      const now = Math.floor(Date.now() / 1000);
+      const wait = Math.max(
+        byUser ? loginWaitSeconds(byUser.failures, byUser.last_failure, LOGIN_LIMITS_PER_USERNAME, now) : 0,
+        byIp ? loginWaitSeconds(byIp.failures, byIp.last_failure, LOGIN_LIMITS_PER_IP, now) : 0
+      );
+      cb(Math.max(wait, 0));
+    });
+  });
+}
+
+// Usernames, accounts in the two-factor step and IPs with a login being
+// checked right now. Parallel attempts would all pass the throttle before
+// any failure is recorded, so only one at a time is allowed.
+const loginsInProgress = new Set();
+
+// Claim the keys of a login check for the duration of the request; false
+// (after answering 429) when one is already taken
+function claimLogin(res, keys) {
+  if (keys.some(key => loginsInProgress.has(key))) {
+    res.set('Retry-After', '1');
+    res.status(429).json({ message: 'Logowanie w toku, spróbuj ponownie za chwilę.', retry_after: 1 });
+    return false;
+  }
+  keys.forEach(key => loginsInProgress.add(key));
+  res.on('close', () => keys.forEach(key => loginsInProgress.delete(key)));
+  return true;
+}
+
+function recordLoginAttempt(username, ip, reason, cb) {
+  db.run('INSERT INTO login_attempts (username, ip, reason) VALUES (?, ?, ?)', [username, ip, reason], function(err) {
+    if (cb) cb(err, this.lastID);
+    if (err) return;
+    db.run(`DELETE FROM login_attempts WHERE id <= ? AND created_at <= datetime('now', '-${LOGIN_WINDOW_MINUTES} minutes')`,
+      [this.lastID - LOGIN_LOG_MAX_ROWS]);
   });
 }
 
-// Login endpoint
+// TOTP (RFC 6238): HMAC-SHA1 over 30-second steps, 6 digits. One step of
+// clock drift is accepted either way.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = 'Fotobudka OG Event Spot';
+const TOTP_CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  text.replace(/=+$/, '').toUpperCase().split('').forEach(ch => {
+    const value = BASE32_ALPHABET.indexOf(ch);
+    if (value >= 0) bits += value.toString(2).padStart(5, '0');
+  });
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+// The code for a given time step
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// Time step matched by the code, or null. Steps up to `lastStep` were
+// already used and are rejected.
+function matchTotp(secret, code, lastStep) {
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [current, current - 1, current + 1]) {
+    if (lastStep !== null && lastStep !== undefined && step <= lastStep) continue;
+    const expected = totpCode(secret, step);
+    if (code.length === expected.length && crypto.timingSafeEqual(Buffer.from(code), Buffer.from(expected))) return step;
+  }
+  return null;
+}
+
+// Accept a TOTP code or an unused recovery code for the user; codes are
+// marked as used so they cannot be replayed
+function verifySecondFactor(user, code, cb) {
+  const value = String(code || '').replace(/\s+/g, '');
+  if (/^\d{6}$/.test(value)) {
+    const step = matchTotp(user.totp_secret, value, user.totp_last_step);
+    if (step === null) return cb(false);
+    return db.run('UPDATE admin_users SET totp_last_step=? WHERE id=?', [step, user.id], () => cb(true));
+  }
+  db.run(
+    'UPDATE recovery_codes SET used_at=CURRENT_TIMESTAMP WHERE user_id=? AND code_hash=? AND used_at IS NULL',
+    [user.id, hashToken(value.toLowerCase())],
+    function(err) { cb(!err && this.changes > 0); }
+  );
+}
+
+// Replace the user's recovery codes and pass the new plain codes to cb
+function generateRecoveryCodes(userId, cb) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  db.run('DELETE FROM recovery_codes WHERE user_id=?', [userId], () => {
+    const stmt = db.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)');
+    codes.forEach(code => stmt.run(userId, hashToken(code)));
+    stmt.finalize(err => cb(err, codes));
+  });
+}
+
+// Answer a login whose credentials (and second factor) were accepted. This
+// also resets the throttle counter for the username.
+function completeLogin(req, res, user, password) {
+  db.run('UPDATE admin_users SET last_login_at=CURRENT_TIMESTAMP WHERE id=?', [user.id]);
+  const usingDefault = user.username === DEFAULT_ADMIN_USERNAME && password === DEFAULT_ADMIN_PASSWORD;
+  if (user.must_change_password || usingDefault) {
+    const token = jwt.sign({ purpose: 'password_change', id: user.id }, JWT_SECRET, { expiresIn: '15m' });
+    return res.json({ token, password_change_required: true });
+  }
+  createSession(user, req, (err, tokens) => {
+    if (err) return res.status(500).json({ message: 'Błąd logowania' });
+    res.json(tokens);
+  });
+}
+
+// Login endpoint. Accounts that still have to change their password get a
+// token that is only accepted by /api/account/password. Unknown usernames
+// and wrong passwords get the same answer.
 app.post('/api/login', (req, res) => {
   const { username, password } = req.body;
   if (!username || !password) return res.status(400).json({ message: 'Brak danych logowania' });
-  db.get('SELECT * FROM admin_users WHERE username = ?', [username], (err, user) => {
-    if (!user) return res.status(401).json({ message: 'Nieprawidłowy login' });
-    bcrypt.compare(password, user.password_hash, (err2, match) => {
-      if (!match) return res.status(401).json({ message: 'Nieprawidłowe hasło' });
-      const token = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET, { expiresIn: '6h' });
-      res.json({ token });
+  const ip = req.ip;
+  if (!claimLogin(res, [`user:${username}`, `ip:${ip}`])) return;
+  checkLoginThrottle(username, ip, wait => {
+    if (wait > 0) {
+      recordLoginAttempt(username, ip, 'blocked');
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({
+        message: `Zbyt wiele nieudanych prób logowania. Spróbuj ponownie za ${wait < 60 ? `${wait} s` : `${Math.ceil(wait / 60)} min`}.`,
+        retry_after: wait
+      });
+    }
+    db.get('SELECT * FROM admin_users WHERE username = ?', [username], (err, user) => {
+      bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH, (err2, match) => {
+        if (!user || !match) {
+          recordLoginAttempt(username, ip, 'invalid');
+          return res.status(401).json({ message: LOGIN_FAILED_MESSAGE });
+        }
+        if (!user.totp_enabled) return completeLogin(req, res, user, password);
+        // Second step: the code is checked by /api/login/2fa
+        const challengeToken = jwt.sign(
+          { purpose: 'totp_challenge', id: user.id, default_password: password === DEFAULT_ADMIN_PASSWORD },
+          JWT_SECRET,
+          { expiresIn: TOTP_CHALLENGE_TTL }
+        );
+        res.json({ two_factor_required: true, challenge_token: challengeToken });
+      });
     });
   });
 });
 
-// Fetch content for a specific page (defaults to pageId=1)
-app.get('/api/home', (req, res) => {
-  const pageId = parseInt(req.query.pageId) || 1;
+// Second login step for accounts with two-factor authentication. Accepts a
+// TOTP code or an unused recovery code; failures count towards the login
+// throttle like wrong passwords. Like /api/login, an account and an IP get
+// one check at a time.
+app.post('/api/login/2fa', (req, res) => {
+  // `restart` tells the login screen to ask for the password again
+  const expired = { message: 'Sesja logowania wygasła, zaloguj się ponownie', restart: true };
+  let payload;
+  try {
+    payload = jwt.verify(String(req.body.challenge_token || ''), JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json(expired);
+  }
+  if (payload.purpose !== 'totp_challenge') return res.status(401).json(expired);
+  const ip = req.ip;
+  if (!claimLogin(res, [`totp:${payload.id}`, `ip:${ip}`])) return;
+  db.get('SELECT * FROM admin_users WHERE id=?', [payload.id], (err2, user) => {
+    if (!user || !user.totp_enabled) return res.status(401).json(expired);
+    checkLoginThrottle(user.username, ip, wait => {
+      if (wait > 0) {
+        recordLoginAttempt(user.username, ip, 'blocked');
+        res.set('Retry-After', String(wait));
+        return res.status(429).json({ message: `Zbyt wiele nieudanych prób. Spróbuj ponownie za ${wait} s.`, retry_after: wait });
+      }
+      // The attempt counts as a failure until the code checks out
+      recordLoginAttempt(user.username, ip, 'invalid', (err3, attemptId) => {
+        if (err3) return res.status(500).json({ message: 'Błąd logowania' });
+        verifySecondFactor(user, req.body.code, ok => {
+          if (!ok) return res.status(401).json({ message: 'Nieprawidłowy kod' });
+          db.run('DELETE FROM login_attempts WHERE id=?', [attemptId]);
+          // completeLogin only needs to know whether the default password was used
+          completeLogin(req, res, user, payload.default_password ? DEFAULT_ADMIN_PASSWORD : null);
+        });
+      });
+    });
+  });
+});
+
+// Recent failed and blocked logins (owners only)
+app.get('/api/login-attempts', authenticateToken, requireRole('owner'), (req, res) => {
+  db.all('SELECT * FROM login_attempts ORDER BY id DESC LIMIT 200', [], (err, rows) => {
+    res.json(rows || []);
+  });
+});
+
+// Change the signed-in user's own password. Also accepts the restricted
+// token handed out by /api/login when a change is required. Other sessions
+// of the user are logged out.
+app.post('/api/account/password', (req, res) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return res.status(401).json({ message: 'Brak tokenu' });
+  jwt.verify(token, JWT_SECRET, (err, payload) => {
+    if (err || (payload.purpose ? payload.purpose !== 'password_change' : !payload.sid)) {
+      return res.status(401).json({ message: 'Nieprawidłowy token' });
+    }
+    const { current_password, new_password } = req.body;
+    const passwordError = validatePassword(new_password);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+    if (new_password === current_password) return res.status(400).json({ message: 'Nowe hasło musi różnić się od obecnego' });
+    const checkSession = cb => (payload.sid ? getActiveSession(payload.sid, (e, session) => cb(!!session)) : cb(true));
+    checkSession(active => {
+      if (!active) return res.status(401).json({ message: 'Sesja wygasła' });
+      db.get('SELECT * FROM admin_users WHERE id=?', [payload.id], (err2, user) => {
+        if (!user) return res.status(404).json({ message: 'Nie znaleziono' });
+        bcrypt.compare(current_password || '', user.password_hash, (err3, match) => {
+          if (!match) return res.status(400).json({ message: 'Nieprawidłowe obecne hasło' });
+          bcrypt.hash(new_password, 10, (err4, hash) => {
+            db.run('UPDATE admin_users SET password_hash=?, must_change_password=0 WHERE id=?', [hash, user.id], (err5) => {
+              if (err5) return res.status(500).json({ message: 'Błąd zapisu' });
+              revokeSessions(user.id, payload.sid, () => {
+                // The current session stays signed in; a forced change on
+                // first login starts a new one
+                if (payload.sid) return res.json({ message: 'Hasło zmienione' });
+                createSession(user, req, (err6, tokens) => {
+                  if (err6) return res.status(500).json({ message: 'Błąd logowania' });
+                  res.json({ message: 'Hasło zmienione', ...tokens });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+// Exchange a refresh token for a new access token. The refresh token is
+// rotated; presenting an already used one revokes the whole session, since
+// it means the token was copied.
+app.post('/api/token/refresh', (req, res) => {
+  const [sid, secret] = String(req.body.refresh_token || '').split('.');
+  if (!sid || !secret) return res.status(401).json({ message: 'Nieprawidłowy token' });
+  getActiveSession(sid, (err, session) => {
+    if (!session) return res.status(401).json({ message: 'Sesja wygasła' });
+    if (session.refresh_hash !== hashToken(secret)) {
+      db.run('UPDATE sessions SET revoked_at=CURRENT_TIMESTAMP WHERE id=?', [sid]);
+      return res.status(401).json({ message: 'Sesja unieważniona' });
+    }
+    db.get('SELECT * FROM admin_users WHERE id=?', [session.user_id], (err2, user) => {
+      if (!user) return res.status(401).json({ message: 'Nieprawidłowy token' });
+      const newSecret = crypto.randomBytes(32).toString('hex');
+      db.run('UPDATE sessions SET refresh_hash=?, last_used_at=CURRENT_TIMESTAMP WHERE id=?', [hashToken(newSecret), sid], (err3) => {
+        if (err3) return res.status(500).json({ message: 'Błąd odświeżania sesji' });
+        res.json(sessionTokens(user, sid, newSecret));
+      });
+    });
+  });
+});
+
+// End the current session. Works with an expired access token too, so the
+// panel can always log out.
+app.post('/api/logout', (req, res) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  jwt.verify(token || '', JWT_SECRET, { ignoreExpiration: true }, (err, payload) => {
+    if (err || !payload.sid) return res.status(401).json({ message: 'Nieprawidłowy token' });
+    db.run('UPDATE sessions SET revoked_at=CURRENT_TIMESTAMP WHERE id=? AND revoked_at IS NULL', [payload.sid], () => {
+      res.json({ message: 'Wylogowano' });
+    });
+  });
+});
+
+// Own account details for the panel
+app.get('/api/account', authenticateToken, (req, res) => {
+  db.get('SELECT id, username, role, totp_enabled FROM admin_users WHERE id=?', [req.user.id], (err, user) => {
+    if (!user) return res.status(404).json({ message: 'Nie znaleziono' });
+    db.get('SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id=? AND used_at IS NULL', [user.id], (err2, row) => {
+      res.json({ ...user, recovery_codes_left: row ? row.count : 0 });
+    });
+  });
+});
+
+// Two-factor enrolment, step 1: create a new secret and return it with a
+// QR code for the authenticator app. It only takes effect once confirmed.
+app.post('/api/account/2fa/setup', authenticateToken, (req, res) => {
+  db.get('SELECT * FROM admin_users WHERE id=?', [req.user.id], (err, user) => {
+    if (!user) return res.status(404).json({ message: 'Nie znaleziono' });
+    if (user.totp_enabled) return res.status(400).json({ message: 'Weryfikacja dwuetapowa jest już włączona' });
+    const secret = base32Encode(crypto.randomBytes(20));
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+    db.run('UPDATE admin_users SET totp_secret=?, totp_last_step=NULL WHERE id=?', [secret, user.id], (err2) => {
+      if (err2) return res.status(500).json({ message: 'Błąd zapisu' });
+      QRCode.toDataURL(otpauthUrl, (err3, qr) => {
+        if (err3) return res.status(500).json({ message: 'Błąd generowania kodu QR' });
+        res.json({ secret, otpauth_url: otpauthUrl, qr });
+      });
+    });
+  });
+});
+
+// Step 2: confirm with a code from the app; returns the recovery codes once
+app.post('/api/account/2fa/enable', authenticateToken, (req, res) => {
+  db.get('SELECT * FROM admin_users WHERE id=?', [req.user.id], (err, user) => {
+    if (!user) return res.status(404).json({ message: 'Nie znaleziono' });
+    if (user.totp_enabled) return res.status(400).json({ message: 'Weryfikacja dwuetapowa jest już włączona' });
+    if (!user.totp_secret) return res.status(400).json({ message: 'Najpierw wygeneruj kod QR' });
+    const step = matchTotp(user.totp_secret, String(req.body.code || '').trim(), null);
+    if (step === null) return res.status(400).json({ message: 'Nieprawidłowy kod' });
+    db.run('UPDATE admin_users SET totp_enabled=1, totp_last_step=? WHERE id=?', [step, user.id], (err2) => {
+      if (err2) return res.status(500).json({ message: 'Błąd zapisu' });
+      generateRecoveryCodes(user.id, (err3, codes) => {
+        if (err3) return res.status(500).json({ message: 'Błąd zapisu' });
+        res.json({ message: 'Weryfikacja dwuetapowa włączona', recovery_codes: codes });
+      });
+    });
+  });
+});
+
+// Replace the recovery codes; needs a current code
+app.post('/api/account/2fa/recovery-codes', authenticateToken, (req, res) => {
+  db.get('SELECT * FROM admin_users WHERE id=?', [req.user.id], (err, user) => {
+    if (!user || !user.totp_enabled) return res.status(400).json({ message: 'Weryfikacja dwuetapowa jest wyłączona' });
+    verifySecondFactor(user, req.body.code, ok => {
+      if (!ok) return res.status(400).json({ message: 'Nieprawidłowy kod' });
+      generateRecoveryCodes(user.id, (err2, codes) => {
+        if (err2) return res.status(500).json({ message: 'Błąd zapisu' });
+        res.json({ recovery_codes: codes });
+      });
+    });
+  });
+});
+
+// Turn two-factor authentication off; needs the password and a code
+app.post('/api/account/2fa/disable', authenticateToken, (req, res) => {
+  db.get('SELECT * FROM admin_users WHERE id=?', [req.user.id], (err, user) => {
+    if (!user || !user.totp_enabled) return res.status(400).json({ message: 'Weryfikacja dwuetapowa jest wyłączona' });
+    bcrypt.compare(req.body.password || '', user.password_hash, (err2, match) => {
+      if (!match) return res.status(400).json({ message: 'Nieprawidłowe hasło' });
+      verifySecondFactor(user, req.body.code, ok => {
+        if (!ok) return res.status(400).json({ message: 'Nieprawidłowy kod' });
+        disableTwoFactor(user.id, (err3) => {
+          if (err3) return res.status(500).json({ message: 'Błąd zapisu' });
+          res.json({ message: 'Weryfikacja dwuetapowa wyłączona' });
+        });
+      });
+    });
+  });
+});
+
+function disableTwoFactor(userId, cb) {
+  db.run('UPDATE admin_users SET totp_enabled=0, totp_secret=NULL, totp_last_step=NULL WHERE id=?', [userId], (err) => {
+    if (err) return cb(err);
+    db.run('DELETE FROM recovery_codes WHERE user_id=?', [userId], cb);
+  });
+}
+
+// End every session of the signed-in user, on all devices
+app.post('/api/logout-all', authenticateToken, (req, res) => {
+  revokeSessions(req.user.id, null, (err) => {
+    if (err) return res.status(500).json({ message: 'Błąd wylogowania' });
+    res.json({ message: 'Wylogowano ze wszystkich urządzeń' });
+  });
+});
+
+// User management (owners only)
+app.get('/api/users', authenticateToken, requireRole('owner'), (req, res) => {
+  db.all('SELECT id, username, role, must_change_password, totp_enabled FROM admin_users ORDER BY id', [], (err, rows) => {
+    db.all('SELECT user_id, page_id FROM user_pages ORDER BY page_id', [], (err2, grants) => {
+      res.json((rows || []).map(u => ({
+        ...u,
+        page_ids: (grants || []).filter(g => g.user_id === u.id).map(g => g.page_id)
+      })));
+    });
+  });
+});
+app.post('/api/users', authenticateToken, requireRole('owner'), (req, res) => {
+  const username = req.body.username ? String(req.body.username).trim() : '';
+  const role = req.body.role || 'editor';
+  const pageIds = Array.isArray(req.body.page_ids) ? req.body.page_ids.map(Number) : [];
+  if (!username) return res.status(400).json({ message: 'Brak loginu' });
+  if (!USER_ROLES.includes(role)) return res.status(400).json({ message: 'Nieprawidłowa rola' });
+  const passwordError = validatePassword(req.body.password);
+  if (passwordError) return res.status(400).json({ message: passwordError });
+  db.get('SELECT id FROM admin_users WHERE username=?', [username], (err, taken) => {
+    if (taken) return res.status(400).json({ message: 'Login zajęty' });
+    bcrypt.hash(req.body.password, 10, (err2, hash) => {
+      // The owner picks a temporary password; the user replaces it on first login
+      db.run('INSERT INTO admin_users (username, password_hash, role, must_change_password) VALUES (?, ?, ?, 1)', [username, hash, role], function(err3) {
+        if (err3) return res.status(500).json({ message: 'Błąd dodawania' });
+        const id = this.lastID;
+        saveUserPages(id, pageIds, () => res.json({ id, username, role, must_change_password: 1, page_ids: pageIds }));
+      });
+    });
+  });
+});
+
+// Fails with a message when the change would leave no owner account
+function ensureOwnerRemains(userId, cb) {
+  db.get("SELECT COUNT(*) AS count FROM admin_users WHERE role='owner' AND id<>?", [userId], (err, row) => {
+    cb(row && row.count > 0 ? null : 'Musi pozostać co najmniej jeden właściciel');
+  });
+}
+
+// Change a user's role, pages (page_ids) and/or set a new temporary password.
+// `reset_2fa: true` turns off two-factor authentication for a user who lost
+// both the device and the recovery codes.
+app.put('/api/users/:id', authenticateToken, requireRole('owner'), (req, res) => {
+  const id = parseInt(req.params.id);
+  db.get('SELECT * FROM admin_users WHERE id=?', [id], (err, user) => {
+    if (!user) return res.status(404).json({ message: 'Nie znaleziono' });
+    const role = req.body.role !== undefined ? req.body.role : user.role;
+    if (!USER_ROLES.includes(role)) return res.status(400).json({ message: 'Nieprawidłowa rola' });
+    if (req.body.password !== undefined) {
+      const passwordError = validatePassword(req.body.password);
+      if (passwordError) return res.status(400).json({ message: passwordError });
+    }
+    const checkOwner = cb => (user.role === 'owner' && role !== 'owner' ? ensureOwnerRemains(id, cb) : cb(null));
+    checkOwner(ownerError => {
+      if (ownerError) return res.status(400).json({ message: ownerError });
+      const save = hash => {
+        const sql = hash
+          ? 'UPDATE admin_users SET role=?, password_hash=?, must_change_password=1 WHERE id=?'
+          : 'UPDATE admin_users SET role=? WHERE id=?';
+        db.run(sql, hash ? [role, hash, id] : [role, id], (err2) => {
+          if (err2) return res.status(500).json({ message: 'Błąd zapisu' });
+          // The role is part of the access token, so a new role or password
+          // takes effect by signing the user out
+          if (hash || role !== user.role) revokeSessions(id, null);
+          const result = { id, username: user.username, role, must_change_password: hash ? 1 : user.must_change_password };
+          const resetTwoFactor = cb => (req.body.reset_2fa ? disableTwoFactor(id, cb) : cb());
+          resetTwoFactor(() => {
+            if (!Array.isArray(req.body.page_ids)) return res.json(result);
+            const pageIds = req.body.page_ids.map(Number);
+            saveUserPages(id, pageIds, () => res.json({ ...result, page_ids: pageIds }));
+          });
+        });
+      };
+      if (req.body.password === undefined) return save(null);
+      bcrypt.hash(req.body.password, 10, (err2, hash) => save(hash));
+    });
+  });
+});
+app.delete('/api/users/:id', authenticateToken, requireRole('owner'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (id === req.user.id) return res.status(400).json({ message: 'Nie można usunąć własnego konta' });
+  db.get('SELECT * FROM admin_users WHERE id=?', [id], (err, user) => {
+    if (!user) return res.status(404).json({ message: 'Nie znaleziono' });
+    const checkOwner = cb => (user.role === 'owner' ? ensureOwnerRemains(id, cb) : cb(null));
+    checkOwner(ownerError => {
+      if (ownerError) return res.status(400).json({ message: ownerError });
+      db.run('DELETE FROM admin_users WHERE id=?', [id], (err2) => {
+        if (err2) return res.status(500).json({ message: 'Błąd usuwania' });
+        res.json({ message: 'Usunięto' });
+      });
+    });
+  });
+});
+
+/**
+ * Read the draft content of a page from the content tables, in the shape
+ * served by /api/home and stored in published snapshots.
+ */
+function loadPageContent(pageId, cb) {
   const data = {};
   db.get('SELECT facebook_url, instagram_url FROM nav WHERE page_id=?', [pageId], (err1, row1) => {
     data.nav = row1 || {};
-    db.all('SELECT id, file_path, alt_text FROM video_frames WHERE page_id=?', [pageId], (err2, rows2) => {
+    db.all('SELECT id, file_path, alt_text, position FROM video_frames WHERE page_id=? ORDER BY position, id', [pageId], (err2, rows2) => {
       data.video_frames = rows2 || [];
       db.get('SELECT title, subtitle FROM welcome_header WHERE page_id=?', [pageId], (err3, row3) => {
         data.welcome_header = row3 || {};
-        db.all('SELECT id, label, value FROM stats WHERE page_id=?', [pageId], (err4, rows4) => {
+        db.all('SELECT id, label, value, position FROM stats WHERE page_id=? ORDER BY position, id', [pageId], (err4, rows4) => {
           data.stats = rows4 || [];
-          db.all('SELECT id, file_path, alt_text FROM gallery WHERE page_id=?', [pageId], (err5, rows5) => {
-            data.gallery = rows5 || [];
-            db.all('SELECT id, name FROM locations WHERE page_id=?', [pageId], (err6, rows6) => {
-              data.locations = rows6 || [];
-              db.get('SELECT facebook_url, instagram_url, phone FROM footer WHERE page_id=?', [pageId], (err7, row7) => {
-                data.footer = row7 || {};
-                res.json(data);
+          db.all('SELECT id, title, description, image_path, position FROM offers WHERE page_id=? ORDER BY position, id', [pageId], (err8, rows8) => {
+            data.offers = rows8 || [];
+            db.all('SELECT id, file_path, alt_text, caption, album, variants, position FROM gallery WHERE page_id=? ORDER BY position, id', [pageId], (err5, rows5) => {
+              data.gallery = (rows5 || []).map(galleryItem);
+              db.all('SELECT id, name, position FROM locations WHERE page_id=? ORDER BY position, id', [pageId], (err6, rows6) => {
+                data.locations = rows6 || [];
+                db.get('SELECT facebook_url, instagram_url, phone FROM footer WHERE page_id=?', [pageId], (err7, row7) => {
+                  data.footer = row7 || {};
+                  cb(data);
+                });
               });
             });
           });
@@ -207,167 +1060,1858 @@ app.get('/api/home', (req, res) => {
       });
     });
   });
-});
+}
+
+// Every /uploads/ path referenced by a page content object
+function contentUploads(content) {
+  const files = [];
+  (content.video_frames || []).forEach(f => files.push(f.file_path));
+  (content.gallery || []).forEach(g => files.push(g.file_path));
+  (content.offers || []).forEach(o => files.push(o.image_path));
+  return files.filter(f => f && f.startsWith('/uploads/'));
+}
+
+/**
+ * Snapshot a page's draft into published_pages. Files that only the
+ * previous snapshot still used (media deleted in the draft) are removed.
+ */
+function publishPage(pageId, cb) {
+  db.get('SELECT content FROM published_pages WHERE page_id=?', [pageId], (err, previous) => {
+    loadPageContent(pageId, content => {
+      db.run('INSERT OR REPLACE INTO published_pages (page_id, content, published_at) VALUES (?, ?, CURRENT_TIMESTAMP)', [pageId, JSON.stringify(content)], (err2) => {
+        if (!err2 && previous) {
+          contentUploads(JSON.parse(previous.content)).forEach(unlinkUnreferencedUpload);
+        }
+        if (!err2) scheduleSiteBuild();
+        if (cb) cb(err2);
+      });
+    });
+  });
+}
+
+// Fetch the published content for a specific page (defaults to pageId=1).
+// With ?preview=<token> from /api/pages/:id/preview the draft is returned
+// instead, so the page can be checked before it goes live.
+app.get('/api/home', (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  if (req.query.preview) {
+    return jwt.verify(req.query.preview, JWT_SECRET, (err, payload) => {
+      if (err || payload.purpose !== 'preview' || payload.page_id !== pageId) {
+        return res.status(403).json({ message: 'Nieprawidłowy link podglądu' });
+      }
+      loadPageContent(pageId, data => res.json(data));
+    });
+  }
+  loadPublishedContent(pageId, content => {
+    if (!content) return res.status(404).json({ message: 'Strona nie została opublikowana' });
+    res.json(content);
+  });
+});
+
+// Published content of a page, or null when it was never published. The
+// public section reads below serve it too, so draft edits stay private
+// until the page is published.
+function loadPublishedContent(pageId, cb) {
+  db.get('SELECT content FROM published_pages WHERE page_id=?', [pageId], (err, row) => {
+    cb(row ? JSON.parse(row.content) : null);
+  });
+}
+
+// Route handler answering with `pick(content, req)` of the published
+// content of the page in ?pageId=
+function publishedRoute(pick) {
+  return (req, res) => {
+    loadPublishedContent(parseInt(req.query.pageId) || 1, content => {
+      if (!content) return res.status(404).json({ message: 'Strona nie została opublikowana' });
+      res.json(pick(content, req));
+    });
+  };
+}
+
+// Content sections that keep a revision history and the columns recorded
+// for them. Singleton sections hold one row per page; the others are lists
+// whose rows are tracked by id.
+const REVISION_SECTIONS = {
+  nav: { columns: ['facebook_url', 'instagram_url'], singleton: true },
+  welcome_header: { columns: ['title', 'subtitle'], singleton: true },
+  footer: { columns: ['facebook_url', 'instagram_url', 'phone'], singleton: true },
+  stats: { columns: ['label', 'value', 'position'] },
+  gallery: { columns: ['file_path', 'alt_text', 'caption', 'album', 'variants', 'position'] },
+  video_frames: { columns: ['file_path', 'alt_text', 'position'] },
+  locations: { columns: ['name', 'position'] }
+};
+
+// Revisions kept per page; older ones are pruned by the upload maintenance
+// job, after which the files only they referenced can be cleaned up
+const REVISION_KEEP_PER_PAGE = parseInt(process.env.REVISION_KEEP_PER_PAGE) || 200;
+
+// Copy of the recorded columns of a section row (null when there is none)
+function revisionData(section, row) {
+  if (!row) return null;
+  const data = {};
+  REVISION_SECTIONS[section].columns.forEach(col => { data[col] = row[col] !== undefined ? row[col] : null; });
+  return data;
+}
+
+/**
+ * Store a revision for a write to a content section. `before` and `after`
+ * are the row before and after the change; null for creates and deletes.
+ */
+function recordRevision(req, pageId, section, recordId, action, before, after, cb) {
+  db.run(
+    'INSERT INTO revisions (page_id, section, record_id, action, before_data, after_data, user_id, username) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [pageId, section, recordId, action,
+      before ? JSON.stringify(revisionData(section, before)) : null,
+      after ? JSON.stringify(revisionData(section, after)) : null,
+      req.user ? req.user.id : null, req.user ? req.user.username : null],
+    err => { if (cb) cb(err); }
+  );
+}
+
+// Read the single row of a singleton section for a page
+function getSectionRow(section, pageId, cb) {
+  db.get(`SELECT * FROM ${section} WHERE page_id=? ORDER BY id LIMIT 1`, [pageId], cb);
+}
+
+/**
+ * Overwrite the singleton section row of a page (creating it if missing)
+ * and record the change.
+ */
+function saveSectionRow(req, section, pageId, values, action, cb) {
+  const columns = REVISION_SECTIONS[section].columns;
+  getSectionRow(section, pageId, (err, before) => {
+    db.run(`INSERT INTO ${section} (page_id, ${columns.join(', ')}) SELECT ?, ${columns.map(() => "''").join(', ')} WHERE NOT EXISTS (SELECT 1 FROM ${section} WHERE page_id=?)`, [pageId, pageId], () => {
+      const assignments = columns.map(col => `${col}=?`).join(', ');
+      db.run(`UPDATE ${section} SET ${assignments} WHERE page_id=?`, [...columns.map(col => values[col]), pageId], function(err2) {
+        if (err2) return cb(err2);
+        recordRevision(req, pageId, section, before ? before.id : null, action, before, values, cb);
+      });
+    });
+  });
+}
+
+// Update navigation for a page
+app.put('/api/nav', authenticateToken, requirePageAccess(pageFromQuery), (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  const { facebook_url, instagram_url } = req.body;
+  saveSectionRow(req, 'nav', pageId, { facebook_url, instagram_url }, 'update', err => {
+    if (err) return res.status(500).json({ message: 'Błąd zapisu' });
+    res.json({ message: 'Nawigacja zaktualizowana' });
+  });
+});
+
+/**
+ * Store the revision of a reordering. The row ids in display order before
+ * and after are kept as { order: [...] }, without a record id.
+ */
+function recordOrderRevision(req, pageId, section, action, before, after, run = dbRun) {
+  return run(
+    'INSERT INTO revisions (page_id, section, record_id, action, before_data, after_data, user_id, username) VALUES (?, ?, NULL, ?, ?, ?, ?, ?)',
+    [pageId, section, action, JSON.stringify({ order: before }), JSON.stringify({ order: after }),
+      req.user ? req.user.id : null, req.user ? req.user.username : null]
+  );
+}
+
+// Give the rows of a section positions in the order of `ids`
+async function applyOrder(run, table, ids) {
+  for (const [idx, id] of ids.entries()) {
+    await run(`UPDATE ${table} SET position=? WHERE id=?`, [idx, id]);
+  }
+}
+
+/**
+ * Route handler for PUT /api/<section>/order. The body lists every id of
+ * the page's rows (`{ ids: [...] }`) in the new display order. The new order
+ * and its revision are written in one transaction.
+ */
+function reorderRoute(table) {
+  return (req, res) => {
+    const pageId = parseInt(req.query.pageId) || 1;
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number) : [];
+    withTransaction(async ({ run, all }) => {
+      const before = (await all(`SELECT id FROM ${table} WHERE page_id=? ORDER BY position, id`, [pageId])).map(r => r.id);
+      const existing = [...before].sort((a, b) => a - b);
+      const sorted = [...ids].sort((a, b) => a - b);
+      if (sorted.length !== existing.length || sorted.some((id, idx) => id !== existing[idx])) return false;
+      await applyOrder(run, table, ids);
+      await recordOrderRevision(req, pageId, table, 'reorder', before, ids, run);
+      return true;
+    }).then(matched => {
+      if (!matched) return res.status(400).json({ message: 'Lista nie odpowiada elementom strony' });
+      res.json({ message: 'Kolejność zapisana' });
+    }, err => {
+      console.error(`Error reordering ${table}:`, err);
+      res.status(500).json({ message: 'Błąd zapisu' });
+    });
+  };
+}
+
+// Media library
+
+// Run an upload in UPLOAD_DIR through the image pipeline. Resolves to the
+// fields of its media row, with the variants as a list.
+async function processMediaImage(file) {
+  const image = await processUploadedImage(file);
+  const meta = await sharp(path.join(__dirname, image.file_path)).metadata();
+  return { file_path: image.file_path, variants: image.variants, width: meta.width, height: meta.height, mime: `image/${meta.format === 'png' ? 'png' : 'jpeg'}` };
+}
+
+/**
+ * Store accepted uploads (see acceptUploads) as library assets. Photos go
+ * through the image pipeline first. Resolves to the new media rows, or
+ * null when a photo could not be processed; nothing is stored then.
+ */
+async function storeMediaFiles(req, files) {
+  const stored = [];
+  try {
+    for (const file of files) {
+      if (file.kind === 'image') {
+        const image = await processMediaImage(file);
+        stored.push({ file, ...image, variants: JSON.stringify(image.variants) });
+      } else {
+        stored.push({ file, file_path: '/uploads/' + file.filename, variants: null, width: null, height: null, mime: file.mimetype });
+      }
+    }
+  } catch (err) {
+    files.forEach(file => fs.unlink(file.path, () => {}));
+    stored.forEach(item => unlinkUpload(item.file_path));
+    return null;
+  }
+  const assets = [];
+  for (const item of stored) {
+    const { size } = await fs.promises.stat(path.join(__dirname, item.file_path));
+    const result = await dbRun(`INSERT INTO media (file_path, original_name, kind, mime, size, width, height, variants, uploaded_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [item.file_path, item.file.originalname, item.file.kind, item.mime, size, item.width, item.height, item.variants, req.user.id]);
+    assets.push(await dbGet('SELECT * FROM media WHERE id=?', [result.lastID]));
+  }
+  return assets;
+}
+
+// Library rows for the given ids, in that order; null if any is missing
+async function mediaByIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0) return null;
+  const assets = [];
+  for (const id of ids) {
+    const asset = await dbGet('SELECT * FROM media WHERE id=?', [parseInt(id)]);
+    if (!asset) return null;
+    assets.push(asset);
+  }
+  return assets;
+}
+
+// Where library files are used: { file_path: [{ section, page_id, page_name }] }.
+// Given a user who is not an owner, only the pages they may edit are listed.
+async function mediaUsage(user) {
+  const rows = await dbAll(`SELECT 'gallery' AS section, g.file_path, g.page_id, p.name AS page_name
+      FROM gallery g JOIN pages p ON p.id = g.page_id
+    UNION ALL SELECT 'video_frames', v.file_path, v.page_id, p.name
+      FROM video_frames v JOIN pages p ON p.id = v.page_id
+    UNION ALL SELECT 'offers', o.image_path, o.page_id, p.name
+      FROM offers o JOIN pages p ON p.id = o.page_id`);
+  const allowed = user && user.role !== 'owner'
+    ? new Set((await dbAll('SELECT page_id FROM user_pages WHERE user_id=?', [user.id])).map(row => row.page_id))
+    : null;
+  const usage = {};
+  rows.filter(row => !allowed || allowed.has(row.page_id)).forEach(row => {
+    (usage[row.file_path] = usage[row.file_path] || []).push({ section: row.section, page_id: row.page_id, page_name: row.page_name });
+  });
+  return usage;
+}
+
+app.get('/api/media', authenticateToken, async (req, res) => {
+  const where = [];
+  const params = [];
+  if (req.query.kind) {
+    where.push('kind=?');
+    params.push(req.query.kind);
+  }
+  if (req.query.search) {
+    where.push('original_name LIKE ?');
+    params.push(`%${req.query.search}%`);
+  }
+  const assets = await dbAll(`SELECT * FROM media ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY created_at DESC, id DESC`, params);
+  const usage = await mediaUsage(req.user);
+  res.json(assets.map(asset => ({
+    ...asset,
+    variants: asset.variants ? JSON.parse(asset.variants) : [],
+    usage: usage[asset.file_path] || []
+  })));
+});
+app.post('/api/media', authenticateToken, acceptUploads('files', 20, ['image', 'video'], LIBRARY_QUOTA), async (req, res) => {
+  const files = req.files;
+  if (!files || files.length === 0) return res.status(400).json({ message: 'Brak plików' });
+  const assets = await storeMediaFiles(req, files);
+  if (!assets) return res.status(400).json({ message: 'Nieprawidłowy plik graficzny' });
+  res.json(assets.map(asset => ({ ...asset, variants: asset.variants ? JSON.parse(asset.variants) : [], usage: [] })));
+});
+// Library assets can be placed on any page, so only owners delete them
+app.delete('/api/media/:id', authenticateToken, requireRole('owner'), async (req, res) => {
+  const asset = await dbGet('SELECT * FROM media WHERE id=?', [req.params.id]);
+  if (!asset) return res.status(404).json({ message: 'Nie znaleziono' });
+  // Assets still placed on a page have to be removed there first
+  const usage = (await mediaUsage())[asset.file_path] || [];
+  if (usage.length) {
+    return res.status(409).json({ message: 'Plik jest używany na stronach', usage });
+  }
+  await dbRun('DELETE FROM media WHERE id=?', [asset.id]);
+  // Revisions and published snapshots may still keep the file for a while
+  unlinkUnreferencedUpload(asset.file_path);
+  res.json({ message: 'Usunięto' });
+});
+
+// Upload maintenance. Files in UPLOAD_DIR that nothing references
+// (orphans) are first moved to QUARANTINE_DIR and only deleted from there
+// later, so a wrong cleanup can be undone. Rows pointing at files that no
+// longer exist are reported for the admin to fix.
+const QUARANTINE_DIR = path.join(__dirname, 'uploads-quarantine');
+// Younger files may belong to an upload that is still being processed
+const ORPHAN_GRACE_MINUTES = 60;
+// The scheduled job quarantines orphans and purges older quarantined files
+const QUARANTINE_RETENTION_DAYS = 30;
+const MAINTENANCE_INTERVAL_HOURS = 24;
+
+/**
+ * Every /uploads/ path still referenced by the media library, page content,
+ * published snapshots or revisions, including image variants.
+ */
+async function referencedUploads() {
+  const files = new Set();
+  const add = (filePath, variants) => {
+    if (filePath) files.add(filePath);
+    const list = typeof variants === 'string' ? JSON.parse(variants) : variants;
+    (list || []).forEach(v => files.add(v.path));
+  };
+  (await dbAll('SELECT file_path, variants FROM media')).forEach(row => add(row.file_path, row.variants));
+  (await dbAll('SELECT file_path, variants FROM gallery')).forEach(row => add(row.file_path, row.variants));
+  (await dbAll('SELECT file_path FROM video_frames')).forEach(row => add(row.file_path));
+  (await dbAll('SELECT image_path FROM offers')).forEach(row => add(row.image_path));
+  (await dbAll('SELECT content FROM published_pages')).forEach(row => {
+    const content = JSON.parse(row.content);
+    contentUploads(content).forEach(file => add(file));
+    (content.gallery || []).forEach(item => add(null, item.variants));
+  });
+  (await dbAll('SELECT before_data, after_data FROM revisions')).forEach(row => {
+    [row.before_data, row.after_data].forEach(data => {
+      if (!data) return;
+      const values = JSON.parse(data);
+      add(values.file_path, values.variants);
+      add(values.image_path);
+    });
+  });
+  return new Set([...files].filter(file => file && file.startsWith('/uploads/')));
+}
+
+// Files directly inside a directory with their stats; none if it is missing
+async function listFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const files = [];
+  for (const entry of entries.filter(e => e.isFile())) {
+    files.push({ name: entry.name, stat: await fs.promises.stat(path.join(dir, entry.name)) });
+  }
+  return files;
+}
+
+/**
+ * Dry-run report of mismatches between UPLOAD_DIR and the database:
+ * `orphans` (files nothing references; `recent` ones are within the grace
+ * period and left alone), `missing` (rows whose file does not exist) and
+ * the current contents of the quarantine.
+ */
+async function uploadsReport() {
+  const referenced = await referencedUploads();
+  const graceStart = Date.now() - ORPHAN_GRACE_MINUTES * 60 * 1000;
+  const orphans = (await listFiles(UPLOAD_DIR))
+    .filter(f => !referenced.has('/uploads/' + f.name))
+    .map(f => ({ file: '/uploads/' + f.name, size: f.stat.size, modified_at: f.stat.mtime.toISOString(), recent: f.stat.mtimeMs > graceStart }));
+
+  const missing = [];
+  // Image variants count as files of their row
+  const withVariants = table => row => [
+    { id: row.id, page_id: row.page_id, file_path: row.file_path, table },
+    ...(row.variants ? JSON.parse(row.variants) : []).map(v => ({ id: row.id, page_id: row.page_id, file_path: v.path, table }))
+  ];
+  const rows = [
+    ...(await dbAll('SELECT id, NULL AS page_id, file_path, variants FROM media')).flatMap(withVariants('media')),
+    ...(await dbAll('SELECT id, page_id, file_path, variants FROM gallery')).flatMap(withVariants('gallery')),
+    ...(await dbAll('SELECT id, page_id, file_path FROM video_frames')).map(r => ({ ...r, table: 'video_frames' })),
+    ...(await dbAll('SELECT id, page_id, image_path AS file_path FROM offers')).map(r => ({ ...r, table: 'offers' }))
+  ];
+  for (const row of rows.filter(r => r.file_path && r.file_path.startsWith('/uploads/'))) {
+    try {
+      await fs.promises.access(path.join(__dirname, row.file_path));
+    } catch (err) {
+      missing.push(row);
+    }
+  }
+
+  const quarantined = (await listFiles(QUARANTINE_DIR)).map(f => ({
+    file: f.name,
+    size: f.stat.size,
+    quarantined_at: new Date(parseInt(f.name)).toISOString()
+  }));
+  return { orphans, missing, quarantined };
+}
+
+/**
+ * Move orphans out of UPLOAD_DIR into QUARANTINE_DIR as
+ * <timestamp>__<name>. Only files the report lists as orphans outside the
+ * grace period are moved; `files` limits it to the given upload paths.
+ */
+async function quarantineOrphans(files) {
+  const { orphans } = await uploadsReport();
+  const moved = [];
+  await fs.promises.mkdir(QUARANTINE_DIR, { recursive: true });
+  for (const orphan of orphans.filter(o => !o.recent && (!files || files.includes(o.file)))) {
+    const name = path.basename(orphan.file);
+    await fs.promises.rename(path.join(UPLOAD_DIR, name), path.join(QUARANTINE_DIR, `${Date.now()}__${name}`));
+    moved.push(orphan.file);
+  }
+  return moved;
+}
+
+// Delete quarantined files moved there at least `olderThanDays` days ago
+async function purgeQuarantine(olderThanDays) {
+  const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+  const purged = [];
+  for (const f of await listFiles(QUARANTINE_DIR)) {
+    if (parseInt(f.name) <= cutoff) {
+      await fs.promises.unlink(path.join(QUARANTINE_DIR, f.name));
+      purged.push(f.name);
+    }
+  }
+  return purged;
+}
+
+// Move quarantined files back to UPLOAD_DIR under their original name
+async function restoreQuarantined(names) {
+  const restored = [];
+  for (const f of await listFiles(QUARANTINE_DIR)) {
+    if (!names.includes(f.name)) continue;
+    const original = f.name.slice(f.name.indexOf('__') + 2);
+    // Never overwrite a file uploaded under the same name since
+    if (fs.existsSync(path.join(UPLOAD_DIR, original))) continue;
+    await fs.promises.rename(path.join(QUARANTINE_DIR, f.name), path.join(UPLOAD_DIR, original));
+    restored.push('/uploads/' + original);
+  }
+  return restored;
+}
+
+// Delete all but the newest REVISION_KEEP_PER_PAGE revisions of every page.
+// Resolves to the number of revisions removed.
+async function pruneRevisions() {
+  const result = await dbRun(`DELETE FROM revisions WHERE id IN (
+    SELECT id FROM (SELECT id, ROW_NUMBER() OVER (PARTITION BY page_id ORDER BY id DESC) AS n FROM revisions)
+    WHERE n > ?)`, [REVISION_KEEP_PER_PAGE]);
+  return result.changes;
+}
+
+// Scheduled run: prune old revisions, quarantine current orphans (files
+// only pruned revisions referenced included), purge expired quarantine
+async function runUploadMaintenance() {
+  try {
+    const pruned = await pruneRevisions();
+    const moved = await quarantineOrphans();
+    const purged = await purgeQuarantine(QUARANTINE_RETENTION_DAYS);
+    if (pruned || moved.length || purged.length) {
+      console.log(`Upload maintenance: ${pruned} revision(s) pruned, ${moved.length} file(s) quarantined, ${purged.length} purged`);
+    }
+  } catch (err) {
+    console.error('Upload maintenance failed:', err);
+  }
+}
+
+app.get('/api/maintenance/uploads', authenticateToken, requireRole('owner'), async (req, res) => {
+  res.json(await uploadsReport());
+});
+app.post('/api/maintenance/uploads/quarantine', authenticateToken, requireRole('owner'), async (req, res) => {
+  const { files } = req.body || {};
+  res.json({ quarantined: await quarantineOrphans(Array.isArray(files) ? files : undefined) });
+});
+app.post('/api/maintenance/uploads/purge', authenticateToken, requireRole('owner'), async (req, res) => {
+  const { older_than_days: days } = req.body || {};
+  res.json({ purged: await purgeQuarantine(Math.max(0, parseFloat(days) || 0)) });
+});
+app.post('/api/maintenance/uploads/restore', authenticateToken, requireRole('owner'), async (req, res) => {
+  const { files } = req.body || {};
+  if (!Array.isArray(files) || files.length === 0) {
+    return res.status(400).json({ message: 'Nie wybrano plików' });
+  }
+  res.json({ restored: await restoreQuarantined(files) });
+});
+
+// Storage used per page (files shared between pages count for each), by
+// the media library, by orphans and by the quarantine
+app.get('/api/storage', authenticateToken, requireRole('owner'), async (req, res) => {
+  const pages = [];
+  for (const page of await dbAll('SELECT id, name, slug FROM pages ORDER BY id')) {
+    const files = await pageUploads(page.id);
+    pages.push({ page_id: page.id, name: page.name, slug: page.slug, files: files.length, bytes: await uploadsSize(files) });
+  }
+  const library = await dbGet('SELECT COUNT(*) AS files, COALESCE(SUM(size), 0) AS bytes FROM media');
+  const uploads = await listFiles(UPLOAD_DIR);
+  const quarantine = await listFiles(QUARANTINE_DIR);
+  const sum = files => files.reduce((total, f) => total + f.stat.size, 0);
+  res.json({
+    pages,
+    library,
+    uploads: { files: uploads.length, bytes: sum(uploads) },
+    quarantine: { files: quarantine.length, bytes: sum(quarantine) }
+  });
+});
+
+// Backups. A snapshot is a folder in BACKUP_DIR holding a copy of the
+// database made with SQLite's online backup API (consistent even while
+// requests write to it), a copy of UPLOAD_DIR and backup.json with the size
+// and SHA-256 of every file, used to check the snapshot before a restore.
+// Daily and weekly snapshots are made on a schedule and the oldest beyond
+// the retention counts are removed; manual and pre-restore snapshots are
+// kept until deleted.
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+const BACKUP_RETENTION = {
+  daily: parseInt(process.env.BACKUP_KEEP_DAILY) || 7,
+  weekly: parseInt(process.env.BACKUP_KEEP_WEEKLY) || 4
+};
+const BACKUP_INTERVAL_DAYS = { daily: 1, weekly: 7 };
+const BACKUP_CHECK_INTERVAL_MINUTES = 60;
+const BACKUP_NAME_PATTERN = /^(daily|weekly|manual|pre-restore)-\d{8}-\d{6}$/;
+// Backups and restores run one at a time
+let backupRunning = false;
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Run a sqlite3 Backup to completion
+function runSqliteBackup(filename, filenameIsDest) {
+  return new Promise((resolve, reject) => {
+    const backup = db.backup(filename, 'main', 'main', filenameIsDest, (err) => {
+      if (err) return reject(err);
+      backup.step(-1, (err2) => {
+        backup.finish();
+        if (err2) return reject(err2);
+        resolve();
+      });
+    });
+  });
+}
+
+// Snapshot folder name: <kind>-YYYYMMDD-HHMMSS (UTC)
+function backupName(kind, date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${kind}-${stamp}`;
+}
+
+/**
+ * Make a snapshot of the given kind. Resolves to its backup.json content.
+ */
+async function createBackup(kind) {
+  let name = backupName(kind);
+  // Two snapshots of one kind within a second get a later name
+  for (let n = 1; fs.existsSync(path.join(BACKUP_DIR, name)); n++) {
+    name = backupName(kind, new Date(Date.now() + n * 1000));
+  }
+  const dir = path.join(BACKUP_DIR, name);
+  // Written to a temporary folder so an interrupted backup is never listed
+  const partial = dir + '.partial';
+  await fs.promises.mkdir(path.join(partial, 'uploads'), { recursive: true });
+  try {
+    await runSqliteBackup(path.join(partial, 'db.sqlite'), true);
+    const manifest = {
+      name,
+      kind,
+      created_at: new Date().toISOString(),
+      database: { size: (await fs.promises.stat(path.join(partial, 'db.sqlite'))).size, sha256: await sha256File(path.join(partial, 'db.sqlite')) },
+      uploads: []
+    };
+    for (const f of await listFiles(UPLOAD_DIR)) {
+      const target = path.join(partial, 'uploads', f.name);
+      try {
+        await fs.promises.copyFile(path.join(UPLOAD_DIR, f.name), target, fs.constants.COPYFILE_FICLONE);
+      } catch (err) {
+        // Removed while the backup was running
+        if (err.code === 'ENOENT') continue;
+        throw err;
+      }
+      manifest.uploads.push({ name: f.name, size: (await fs.promises.stat(target)).size, sha256: await sha256File(target) });
+    }
+    await fs.promises.writeFile(path.join(partial, 'backup.json'), JSON.stringify(manifest, null, 2));
+    await fs.promises.rename(partial, dir);
+    return manifest;
+  } catch (err) {
+    await fs.promises.rm(partial, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+// Snapshots in BACKUP_DIR, newest first
+async function listBackups() {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(BACKUP_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const backups = [];
+  for (const entry of entries.filter(e => e.isDirectory() && BACKUP_NAME_PATTERN.test(e.name))) {
+    try {
+      const manifest = JSON.parse(await fs.promises.readFile(path.join(BACKUP_DIR, entry.name, 'backup.json'), 'utf8'));
+      backups.push({
+        name: entry.name,
+        kind: manifest.kind,
+        created_at: manifest.created_at,
+        files: manifest.uploads.length,
+        bytes: manifest.database.size + manifest.uploads.reduce((sum, f) => sum + f.size, 0)
+      });
+    } catch (err) {
+      backups.push({ name: entry.name, kind: entry.name.replace(/-\d{8}-\d{6}$/, ''), created_at: null, damaged: true });
+    }
+  }
+  return backups.sort((a, b) => b.name.slice(-15).localeCompare(a.name.slice(-15)));
+}
+
+/**
+ * Check a snapshot before restoring it: every file listed in backup.json
+ * must be present with the recorded size and hash, and the database must
+ * pass SQLite's integrity check. Returns a list of problems.
+ */
+async function verifyBackup(name) {
+  const dir = path.join(BACKUP_DIR, name);
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.promises.readFile(path.join(dir, 'backup.json'), 'utf8'));
+  } catch (err) {
+    return ['Brak lub uszkodzony plik backup.json'];
+  }
+  const errors = [];
+  const files = [
+    { file: 'db.sqlite', ...manifest.database },
+    ...manifest.uploads.map(f => ({ file: path.join('uploads', path.basename(f.name)), size: f.size, sha256: f.sha256 }))
+  ];
+  for (const f of files) {
+    try {
+      const filePath = path.join(dir, f.file);
+      if ((await fs.promises.stat(filePath)).size !== f.size || await sha256File(filePath) !== f.sha256) {
+        errors.push(`Plik zmieniony lub uszkodzony: ${f.file}`);
+      }
+    } catch (err) {
+      errors.push(`Brak pliku: ${f.file}`);
+    }
+  }
+  if (errors.length) return errors;
+  const check = await new Promise(resolve => {
+    const snapshot = new sqlite3.Database(path.join(dir, 'db.sqlite'), sqlite3.OPEN_READONLY, (err) => {
+      if (err) return resolve('Nie można otworzyć bazy danych');
+      snapshot.get('PRAGMA integrity_check', (err2, row) => {
+        snapshot.get("SELECT name FROM sqlite_master WHERE type='table' AND name='pages'", (err3, table) => {
+          // Snapshots from before migrations have no schema_version
+          snapshot.get('SELECT MAX(version) AS version FROM schema_version', (err4, version) => {
+            snapshot.close();
+            if (err2 || !row || row.integrity_check !== 'ok') return resolve('Baza danych nie przeszła kontroli spójności');
+            if (!table) return resolve('Baza danych nie zawiera tabeli stron');
+            if (version && version.version > latestVersion()) return resolve('Kopia pochodzi z nowszej wersji aplikacji');
+            resolve(null);
+          });
+        });
+      });
+    });
+  });
+  if (check) errors.push(check);
+  return errors;
+}
+
+/**
+ * Replace the live database and uploads with a verified snapshot, migrated
+ * to the current schema. A pre-restore snapshot is made first; uploads that are not in the restored
+ * snapshot are moved to the quarantine rather than deleted.
+ */
+async function restoreBackup(name) {
+  const dir = path.join(BACKUP_DIR, name);
+  const manifest = JSON.parse(await fs.promises.readFile(path.join(dir, 'backup.json'), 'utf8'));
+  const safety = await createBackup('pre-restore');
+  // An older snapshot is brought up to the current schema on a copy with
+  // its own connection, so the migrations never run on the live one
+  const work = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'restore-'));
+  try {
+    const copy = path.join(work, 'db.sqlite');
+    await fs.promises.copyFile(path.join(dir, 'db.sqlite'), copy);
+    const conn = new sqlite3.Database(copy);
+    try {
+      await dbHelpers(conn).run('PRAGMA foreign_keys = ON');
+      await migrate(conn);
+    } finally {
+      await new Promise(resolve => conn.close(resolve));
+    }
+    await runSqliteBackup(copy, false);
+  } finally {
+    await fs.promises.rm(work, { recursive: true, force: true });
+  }
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.promises.mkdir(QUARANTINE_DIR, { recursive: true });
+  const restored = new Set(manifest.uploads.map(f => path.basename(f.name)));
+  for (const f of await listFiles(UPLOAD_DIR)) {
+    if (!restored.has(f.name)) {
+      await fs.promises.rename(path.join(UPLOAD_DIR, f.name), path.join(QUARANTINE_DIR, `${Date.now()}__${f.name}`));
+    }
+  }
+  for (const f of manifest.uploads) {
+    const fileName = path.basename(f.name);
+    const current = path.join(UPLOAD_DIR, fileName);
+    if (fs.existsSync(current) && (await fs.promises.stat(current)).size === f.size && await sha256File(current) === f.sha256) continue;
+    await fs.promises.copyFile(path.join(dir, 'uploads', fileName), current, fs.constants.COPYFILE_FICLONE);
+  }
+  scheduleSiteBuild();
+  return { restored: name, safety_backup: safety.name };
+}
+
+// Remove the oldest snapshots of a scheduled kind beyond its retention
+async function pruneBackups(kind) {
+  const backups = (await listBackups()).filter(b => b.kind === kind);
+  for (const backup of backups.slice(BACKUP_RETENTION[kind])) {
+    await fs.promises.rm(path.join(BACKUP_DIR, backup.name), { recursive: true, force: true });
+  }
+}
+
+// Scheduled run: make the daily/weekly snapshots that are due
+async function runScheduledBackups() {
+  if (backupRunning) return;
+  backupRunning = true;
+  try {
+    const backups = await listBackups();
+    for (const kind of Object.keys(BACKUP_INTERVAL_DAYS)) {
+      const latest = backups.find(b => b.kind === kind && b.created_at);
+      const due = !latest || Date.now() - Date.parse(latest.created_at) >= BACKUP_INTERVAL_DAYS[kind] * 24 * 60 * 60 * 1000;
+      if (!due) continue;
+      const manifest = await createBackup(kind);
+      await pruneBackups(kind);
+      console.log(`Backup ${manifest.name} created`);
+    }
+  } catch (err) {
+    console.error('Scheduled backup failed:', err);
+  } finally {
+    backupRunning = false;
+  }
+}
+
+// Resolve :name to an existing snapshot or answer 404
+function backupFromParam(req, res, next) {
+  const { name } = req.params;
+  if (!BACKUP_NAME_PATTERN.test(name) || !fs.existsSync(path.join(BACKUP_DIR, name))) {
+    return res.status(404).json({ message: 'Nie znaleziono kopii zapasowej' });
+  }
+  next();
+}
+
+app.get('/api/backups', authenticateToken, requireRole('owner'), async (req, res) => {
+  res.json({ backups: await listBackups(), retention: BACKUP_RETENTION, running: backupRunning });
+});
+app.post('/api/backups', authenticateToken, requireRole('owner'), async (req, res) => {
+  if (backupRunning) return res.status(409).json({ message: 'Kopia zapasowa jest właśnie tworzona' });
+  backupRunning = true;
+  try {
+    const manifest = await createBackup('manual');
+    res.json({ name: manifest.name, created_at: manifest.created_at, files: manifest.uploads.length });
+  } catch (err) {
+    console.error('Error creating backup:', err);
+    res.status(500).json({ message: 'Błąd tworzenia kopii zapasowej' });
+  } finally {
+    backupRunning = false;
+  }
+});
+// Download a snapshot as .tar.gz
+app.get('/api/backups/:name/download', authenticateToken, requireRole('owner'), backupFromParam, (req, res) => {
+  res.setHeader('Content-Type', 'application/gzip');
+  res.setHeader('Content-Disposition', `attachment; filename="${req.params.name}.tar.gz"`);
+  const stream = tar.c({ gzip: true, cwd: BACKUP_DIR, portable: true }, [req.params.name]);
+  // Headers are already sent, so a file that cannot be read ends the download
+  stream.on('error', err => {
+    console.error('Error sending backup:', err);
+    res.destroy(err);
+  });
+  stream.pipe(res);
+});
+app.post('/api/backups/:name/verify', authenticateToken, requireRole('owner'), backupFromParam, async (req, res) => {
+  const errors = await verifyBackup(req.params.name);
+  res.json({ ok: errors.length === 0, errors });
+});
+app.post('/api/backups/:name/restore', authenticateToken, requireRole('owner'), backupFromParam, async (req, res) => {
+  if (backupRunning) return res.status(409).json({ message: 'Kopia zapasowa jest właśnie tworzona' });
+  backupRunning = true;
+  try {
+    const errors = await verifyBackup(req.params.name);
+    if (errors.length) return res.status(400).json({ message: 'Kopia zapasowa jest uszkodzona', errors });
+    res.json({ message: 'Przywrócono kopię zapasową', ...await restoreBackup(req.params.name) });
+  } catch (err) {
+    console.error('Error restoring backup:', err);
+    res.status(500).json({ message: 'Błąd przywracania kopii zapasowej' });
+  } finally {
+    backupRunning = false;
+  }
+});
+app.delete('/api/backups/:name', authenticateToken, requireRole('owner'), backupFromParam, async (req, res) => {
+  await fs.promises.rm(path.join(BACKUP_DIR, req.params.name), { recursive: true, force: true });
+  res.json({ message: 'Usunięto' });
+});
+
+// Video frames CRUD
+// Add library assets to the end of a page's video frames
+async function attachVideoFrames(req, pageId, assets) {
+  for (const asset of assets) {
+    const row = { file_path: asset.file_path, alt_text: asset.original_name };
+    const result = await dbRun(`INSERT INTO video_frames (page_id, file_path, alt_text, position)
+      VALUES (?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM video_frames WHERE page_id=?))`,
+      [pageId, row.file_path, row.alt_text, pageId]);
+    recordRevision(req, pageId, 'video_frames', result.lastID, 'create', null, row);
+  }
+}
+
+app.post('/api/video-frames', authenticateToken, requirePageAccess(pageFromQuery), acceptUploads('files', 4, ['image', 'video']), async (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  const files = req.files;
+  if (!files || files.length === 0) return res.status(400).json({ message: 'Brak plików' });
+  const assets = await storeMediaFiles(req, files);
+  if (!assets) return res.status(400).json({ message: 'Nieprawidłowy plik graficzny' });
+  await attachVideoFrames(req, pageId, assets);
+  res.json({ message: 'Ramki dodane' });
+});
+app.post('/api/video-frames/attach', authenticateToken, requirePageAccess(pageFromQuery), async (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  const assets = await mediaByIds(req.body.media_ids);
+  if (!assets) return res.status(400).json({ message: 'Nie znaleziono wybranych plików' });
+  await attachVideoFrames(req, pageId, assets);
+  res.json({ message: 'Ramki dodane' });
+});
+app.put('/api/video-frames/order', authenticateToken, requirePageAccess(pageFromQuery), reorderRoute('video_frames'));
+app.delete('/api/video-frames/:id', authenticateToken, requirePageAccess(pageFromRow('video_frames')), (req, res) => {
+  const id = req.params.id;
+  db.get('SELECT * FROM video_frames WHERE id=?', [id], (err, row) => {
+    if (!row) return res.status(404).json({ message: 'Nie znaleziono' });
+    db.run('DELETE FROM video_frames WHERE id=?', [id], () => {
+      // The revision keeps the file referenced so the delete can be undone
+      recordRevision(req, row.page_id, 'video_frames', row.id, 'delete', row, null, () => {
+        unlinkUnreferencedUpload(row.file_path);
+      });
+      res.json({ message: 'Usunięto' });
+    });
+  });
+});
+
+// Welcome header
+app.put('/api/welcome-header', authenticateToken, requirePageAccess(pageFromQuery), (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  const { title, subtitle } = req.body;
+  saveSectionRow(req, 'welcome_header', pageId, { title, subtitle }, 'update', err => {
+    if (err) return res.status(500).json({ message: 'Błąd zapisu' });
+    res.json({ message: 'Nagłówek zaktualizowany' });
+  });
+});
+
+// Statistics
+app.get('/api/stats', publishedRoute(content => content.stats || []));
+app.post('/api/stats', authenticateToken, requirePageAccess(pageFromQuery), (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  const { label, value } = req.body;
+  db.run(`INSERT INTO stats (page_id, label, value, position)
+    VALUES (?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM stats WHERE page_id=?))`, [pageId, label, value, pageId], function(err) {
+    if (err) return res.status(500).json({ message: 'Błąd dodawania' });
+    recordRevision(req, pageId, 'stats', this.lastID, 'create', null, { label, value });
+    res.json({ id: this.lastID, label, value });
+  });
+});
+app.put('/api/stats/order', authenticateToken, requirePageAccess(pageFromQuery), reorderRoute('stats'));
+app.put('/api/stats/:id', authenticateToken, requirePageAccess(pageFromRow('stats')), (req, res) => {
+  const id = req.params.id;
+  const { value } = req.body;
+  db.get('SELECT * FROM stats WHERE id=?', [id], (err, row) => {
+    if (!row) return res.status(404).json({ message: 'Nie znaleziono' });
+    db.run('UPDATE stats SET value=? WHERE id=?', [value, id], function(err2) {
+      if (err2) return res.status(500).json({ message: 'Błąd zapisu' });
+      recordRevision(req, row.page_id, 'stats', row.id, 'update', row, { ...row, value });
+      res.json({ message: 'Zaktualizowano' });
+    });
+  });
+});
+app.delete('/api/stats/:id', authenticateToken, requirePageAccess(pageFromRow('stats')), (req, res) => {
+  const id = req.params.id;
+  db.get('SELECT * FROM stats WHERE id=?', [id], (err, row) => {
+    if (!row) return res.status(404).json({ message: 'Nie znaleziono' });
+    db.run('DELETE FROM stats WHERE id=?', [id], function(err2) {
+      if (err2) return res.status(500).json({ message: 'Błąd usuwania' });
+      recordRevision(req, row.page_id, 'stats', row.id, 'delete', row, null);
+      res.json({ message: 'Usunięto' });
+    });
+  });
+});
+
+/**
+ * Store the uploaded background of an offer card. It goes through the same
+ * image pipeline as gallery photos and joins the media library. Resolves
+ * to the stored path, or null when the file is not a readable image.
+ */
+async function storeOfferImage(req) {
+  const assets = await storeMediaFiles(req, [req.file]);
+  return assets ? assets[0].file_path : null;
+}
+
+// Offers ("Nasza oferta" cards). The background image is optional; when no
+// file is uploaded the card keeps its previous image (or none for new cards).
+app.get('/api/offers', publishedRoute(content => content.offers || []));
+app.post('/api/offers', authenticateToken, requirePageAccess(pageFromQuery), acceptUploads('image', 1, ['image']), async (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  const { title, description } = req.body;
+  if (!title) return res.status(400).json({ message: 'Brak tytułu oferty' });
+  const imagePath = req.file ? await storeOfferImage(req) : '';
+  if (imagePath === null) return res.status(400).json({ message: 'Nieprawidłowy plik graficzny' });
+  db.get('SELECT COALESCE(MAX(position), -1) + 1 AS next FROM offers WHERE page_id=?', [pageId], (err, row) => {
+    const position = row ? row.next : 0;
+    db.run('INSERT INTO offers (page_id, title, description, image_path, position) VALUES (?, ?, ?, ?, ?)', [pageId, title, description || '', imagePath, position], function(err2) {
+      if (err2) return res.status(500).json({ message: 'Błąd dodawania' });
+      res.json({ id: this.lastID, title, description: description || '', image_path: imagePath, position });
+    });
+  });
+});
+app.put('/api/offers/:id', authenticateToken, requirePageAccess(pageFromRow('offers')), acceptUploads('image', 1, ['image']), async (req, res) => {
+  const id = req.params.id;
+  const row = await dbGet('SELECT * FROM offers WHERE id=?', [id]);
+  if (!row) {
+    if (req.file) fs.unlink(req.file.path, () => {});
+    return res.status(404).json({ message: 'Nie znaleziono' });
+  }
+  const title = req.body.title !== undefined ? req.body.title : row.title;
+  const description = req.body.description !== undefined ? req.body.description : row.description;
+  const position = req.body.position !== undefined ? parseInt(req.body.position) || 0 : row.position;
+  const imagePath = req.file ? await storeOfferImage(req) : row.image_path;
+  if (imagePath === null) return res.status(400).json({ message: 'Nieprawidłowy plik graficzny' });
+  db.run('UPDATE offers SET title=?, description=?, image_path=?, position=? WHERE id=?', [title, description, imagePath, position, id], function(err2) {
+    if (err2) return res.status(500).json({ message: 'Błąd zapisu' });
+    // Remove the replaced image if it was an upload no other card uses
+    if (req.file) unlinkUnreferencedUpload(row.image_path);
+    res.json({ id: row.id, title, description, image_path: imagePath, position });
+  });
+});
+app.delete('/api/offers/:id', authenticateToken, requirePageAccess(pageFromRow('offers')), (req, res) => {
+  const id = req.params.id;
+  db.get('SELECT image_path FROM offers WHERE id=?', [id], (err, row) => {
+    if (!row) return res.status(404).json({ message: 'Nie znaleziono' });
+    db.run('DELETE FROM offers WHERE id=?', [id], function(err2) {
+      if (err2) return res.status(500).json({ message: 'Błąd usuwania' });
+      db.run('DELETE FROM offer_prices WHERE offer_id=?', [id]);
+      db.run('DELETE FROM price_package_offers WHERE offer_id=?', [id]);
+      unlinkUnreferencedUpload(row.image_path);
+      res.json({ message: 'Usunięto' });
+    });
+  });
+});
+
+/**
+ * Delete an uploaded file once no offer card, gallery image or video frame
+ * references it any more, in either a draft, a published snapshot or a
+ * revision that could restore it.
+ * Offers copied to new pages share the same file, and the default cards
+ * point at the frontend's static images, which must never be removed.
+ */
+function unlinkUnreferencedUpload(filePath) {
+  if (!filePath || !filePath.startsWith('/uploads/')) return;
+  const sql = `SELECT (SELECT COUNT(*) FROM media WHERE file_path=?)
+    + (SELECT COUNT(*) FROM offers WHERE image_path=?)
+    + (SELECT COUNT(*) FROM gallery WHERE file_path=?)
+    + (SELECT COUNT(*) FROM video_frames WHERE file_path=?)
+    + (SELECT COUNT(*) FROM published_pages WHERE instr(content, ?) > 0)
+    + (SELECT COUNT(*) FROM revisions WHERE instr(before_data, ?) > 0 OR instr(after_data, ?) > 0) AS count`;
+  const quoted = JSON.stringify(filePath);
+  db.get(sql, [filePath, filePath, filePath, filePath, quoted, quoted, quoted], (err, row) => {
+    if (row && row.count === 0) {
+      unlinkUpload(filePath);
+    }
+  });
+}
+
+// Gallery
+// Albums are short tags such as "wesele" or "18-stka"; they are stored
+// trimmed and lower-cased so the same album is not split by spelling.
+function normalizeAlbum(album) {
+  const value = String(album || '').trim().toLowerCase().slice(0, 50);
+  return value || null;
+}
+
+// Add library photos to the end of a page's gallery. The original file
+// name ("IMG_2034.jpg") is no description; alt text is filled in
+// afterwards in the admin panel.
+async function attachGalleryImages(req, pageId, assets) {
+  for (const asset of assets) {
+    const row = { file_path: asset.file_path, alt_text: '', variants: asset.variants };
+    const result = await dbRun(`INSERT INTO gallery (page_id, file_path, alt_text, variants, position)
+      VALUES (?, ?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM gallery WHERE page_id=?))`,
+      [pageId, row.file_path, row.alt_text, row.variants, pageId]);
+    recordRevision(req, pageId, 'gallery', result.lastID, 'create', null, row);
+  }
+}
+
+app.get('/api/gallery', publishedRoute((content, req) => {
+  const album = normalizeAlbum(req.query.album);
+  return (content.gallery || []).filter(item => !album || item.album === album);
+}));
+app.get('/api/gallery/albums', publishedRoute(content => {
+  const counts = {};
+  (content.gallery || []).filter(item => item.album).forEach(item => { counts[item.album] = (counts[item.album] || 0) + 1; });
+  return Object.keys(counts).sort().map(album => ({ album, count: counts[album] }));
+}));
+app.post('/api/gallery', authenticateToken, requirePageAccess(pageFromQuery), acceptUploads('images', 20, ['image']), async (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  const files = req.files;
+  if (!files || files.length === 0) return res.status(400).json({ message: 'Brak plików' });
+  const assets = await storeMediaFiles(req, files);
+  if (!assets) return res.status(400).json({ message: 'Nieprawidłowy plik graficzny' });
+  await attachGalleryImages(req, pageId, assets);
+  res.json({ message: 'Zdjęcia dodane' });
+});
+app.post('/api/gallery/attach', authenticateToken, requirePageAccess(pageFromQuery), async (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  const assets = await mediaByIds(req.body.media_ids);
+  if (!assets) return res.status(400).json({ message: 'Nie znaleziono wybranych plików' });
+  if (assets.some(asset => asset.kind !== 'image')) return res.status(400).json({ message: 'Do galerii można dodać tylko zdjęcia' });
+  await attachGalleryImages(req, pageId, assets);
+  res.json({ message: 'Zdjęcia dodane' });
+});
+app.put('/api/gallery/order', authenticateToken, requirePageAccess(pageFromQuery), reorderRoute('gallery'));
+app.put('/api/gallery/:id', authenticateToken, requirePageAccess(pageFromRow('gallery')), (req, res) => {
+  const id = req.params.id;
+  db.get('SELECT * FROM gallery WHERE id=?', [id], (err, row) => {
+    if (!row) return res.status(404).json({ message: 'Nie znaleziono' });
+    // Fields missing from the body keep their current value
+    const values = {
+      alt_text: req.body.alt_text !== undefined ? String(req.body.alt_text).trim() : row.alt_text,
+      caption: req.body.caption !== undefined ? String(req.body.caption).trim() : row.caption,
+      album: req.body.album !== undefined ? normalizeAlbum(req.body.album) : row.album
+    };
+    db.run('UPDATE gallery SET alt_text=?, caption=?, album=? WHERE id=?', [values.alt_text, values.caption, values.album, id], function(err2) {
+      if (err2) return res.status(500).json({ message: 'Błąd zapisu' });
+      recordRevision(req, row.page_id, 'gallery', row.id, 'update', row, { ...row, ...values });
+      res.json({ message: 'Zaktualizowano', ...values });
+    });
+  });
+});
+app.delete('/api/gallery/:id', authenticateToken, requirePageAccess(pageFromRow('gallery')), (req, res) => {
+  const id = req.params.id;
+  db.get('SELECT * FROM gallery WHERE id=?', [id], (err, row) => {
+    if (!row) return res.status(404).json({ message: 'Nie znaleziono' });
+    db.run('DELETE FROM gallery WHERE id=?', [id], () => {
+      // The revision keeps the file referenced so the delete can be undone
+      recordRevision(req, row.page_id, 'gallery', row.id, 'delete', row, null, () => {
+        unlinkUnreferencedUpload(row.file_path);
+      });
+      res.json({ message: 'Usunięto' });
+    });
+  });
+});
+
+// Locations
+app.get('/api/locations', publishedRoute(content => content.locations || []));
+app.post('/api/locations', authenticateToken, requirePageAccess(pageFromQuery), (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  const { name } = req.body;
+  db.run(`INSERT INTO locations (page_id, name, position)
+    VALUES (?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM locations WHERE page_id=?))`, [pageId, name, pageId], function(err) {
+    if (err) return res.status(500).json({ message: 'Błąd dodawania' });
+    recordRevision(req, pageId, 'locations', this.lastID, 'create', null, { name });
+    res.json({ id: this.lastID, name });
+  });
+});
+app.put('/api/locations/order', authenticateToken, requirePageAccess(pageFromQuery), reorderRoute('locations'));
+app.delete('/api/locations/:id', authenticateToken, requirePageAccess(pageFromRow('locations')), (req, res) => {
+  const id = req.params.id;
+  db.get('SELECT * FROM locations WHERE id=?', [id], (err, row) => {
+    if (!row) return res.status(404).json({ message: 'Nie znaleziono' });
+    db.run('DELETE FROM locations WHERE id=?', [id], function(err2) {
+      if (err2) return res.status(500).json({ message: 'Błąd usuwania' });
+      db.run('DELETE FROM location_fees WHERE location_id=?', [id]);
+      recordRevision(req, row.page_id, 'locations', row.id, 'delete', row, null);
+      res.json({ message: 'Usunięto' });
+    });
+  });
+});
+
+// Footer
+app.put('/api/footer', authenticateToken, requirePageAccess(pageFromQuery), (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  const { facebook_url, instagram_url, phone } = req.body;
+  saveSectionRow(req, 'footer', pageId, { facebook_url, instagram_url, phone }, 'update', err => {
+    if (err) return res.status(500).json({ message: 'Błąd zapisu' });
+    res.json({ message: 'Stopka zaktualizowana' });
+  });
+});
+
+// Revision history of a page, optionally limited to one section
+app.get('/api/revisions', authenticateToken, requirePageAccess(pageFromQuery), (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  const params = [pageId];
+  let sql = 'SELECT * FROM revisions WHERE page_id=?';
+  if (req.query.section) {
+    if (!REVISION_SECTIONS[req.query.section]) return res.status(400).json({ message: 'Nieznana sekcja' });
+    sql += ' AND section=?';
+    params.push(req.query.section);
+  }
+  sql += ' ORDER BY id DESC LIMIT 200';
+  db.all(sql, params, (err, rows) => {
+    if (err) return res.status(500).json({ message: 'Błąd pobierania historii' });
+    res.json((rows || []).map(r => ({
+      ...r,
+      before_data: r.before_data ? JSON.parse(r.before_data) : null,
+      after_data: r.after_data ? JSON.parse(r.after_data) : null
+    })));
+  });
+});
+
+/**
+ * Roll a section back to the state it had before the given revision: an
+ * update is reverted, a created row is removed, a deleted row comes back
+ * under its old id and a reordering is undone. The rollback is itself
+ * recorded as a revision.
+ */
+app.post('/api/revisions/:id/restore', authenticateToken, requirePageAccess(pageFromRow('revisions')), (req, res) => {
+  db.get('SELECT * FROM revisions WHERE id=?', [req.params.id], (err, revision) => {
+    if (!revision) return res.status(404).json({ message: 'Nie znaleziono' });
+    const config = REVISION_SECTIONS[revision.section];
+    const target = revision.before_data ? JSON.parse(revision.before_data) : null;
+    const done = err2 => {
+      if (err2) return res.status(500).json({ message: 'Błąd przywracania' });
+      res.json({ message: 'Przywrócono' });
+    };
+    if (config.singleton) {
+      // A singleton row that did not exist yet is restored as empty
+      const values = {};
+      config.columns.forEach(col => { values[col] = target ? target[col] : ''; });
+      return saveSectionRow(req, revision.section, revision.page_id, values, 'restore', done);
+    }
+    const section = revision.section;
+    if (revision.record_id === null) {
+      // Order revisions; rows added since go after the restored ones
+      return withTransaction(async ({ run, all }) => {
+        const current = (await all(`SELECT id FROM ${section} WHERE page_id=? ORDER BY position, id`, [revision.page_id])).map(r => r.id);
+        const order = [...target.order.filter(id => current.includes(id)), ...current.filter(id => !target.order.includes(id))];
+        await applyOrder(run, section, order);
+        await recordOrderRevision(req, revision.page_id, section, 'restore', current, order, run);
+      }).then(() => done(), done);
+    }
+    db.get(`SELECT * FROM ${section} WHERE id=?`, [revision.record_id], (err2, current) => {
+      if (!target) {
+        if (!current) return done();
+        return db.run(`DELETE FROM ${section} WHERE id=?`, [current.id], err3 => {
+          if (err3) return done(err3);
+          recordRevision(req, revision.page_id, section, current.id, 'restore', current, null, done);
+        });
+      }
+      // Revisions recorded before a column existed do not restore it. The
+      // position only comes back with a deleted row, so restoring an edit
+      // does not undo a later reordering.
+      const columns = config.columns.filter(col => target[col] !== undefined && (col !== 'position' || !current));
+      const values = columns.map(col => target[col]);
+      const sql = current
+        ? `UPDATE ${section} SET ${columns.map(col => `${col}=?`).join(', ')} WHERE id=?`
+        : `INSERT INTO ${section} (${columns.join(', ')}, id, page_id) VALUES (${columns.map(() => '?').join(', ')}, ?, ?)`;
+      const params = current ? [...values, current.id] : [...values, revision.record_id, revision.page_id];
+      db.run(sql, params, err3 => {
+        if (err3) return done(err3);
+        recordRevision(req, revision.page_id, section, revision.record_id, 'restore', current, target, done);
+      });
+    });
+  });
+});
+
+// Inquiries (contact form). Submitting is public; the inbox is admin-only,
+// and accounts other than owners only see the inquiries of their pages.
+const INQUIRY_STATUSES = ['new', 'quoted', 'booked', 'rejected'];
+// Like logins, the public form is throttled per IP: an address may send
+// this many inquiries within the window
+const INQUIRY_WINDOW_MINUTES = 60;
+const INQUIRY_LIMIT_PER_IP = 5;
+// Longest accepted value of each text field, in characters
+const INQUIRY_FIELD_LIMITS = { name: 200, email: 254, phone: 40, location: 200, message: 5000 };
+const INQUIRY_MAX_ATTRACTIONS = 20;
+
+app.post('/api/inquiries', (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  const { name, email, phone, event_date, location, message } = req.body;
+  let attractions = req.body.attractions || [];
+  if (!Array.isArray(attractions)) attractions = [attractions];
+  attractions = attractions.filter(a => typeof a === 'string' && a.trim()).map(a => a.trim());
+  if (Object.keys(INQUIRY_FIELD_LIMITS).some(field => req.body[field] && String(req.body[field]).length > INQUIRY_FIELD_LIMITS[field])) {
+    return res.status(400).json({ message: 'Jedno z pól jest za długie' });
+  }
+  if (attractions.length > INQUIRY_MAX_ATTRACTIONS || attractions.some(a => a.length > INQUIRY_FIELD_LIMITS.name)) {
+    return res.status(400).json({ message: 'Nieprawidłowa lista atrakcji' });
+  }
+  if (!name || !String(name).trim()) return res.status(400).json({ message: 'Podaj imię i nazwisko' });
+  if (!email && !phone) return res.status(400).json({ message: 'Podaj adres e-mail lub numer telefonu' });
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ message: 'Nieprawidłowy adres e-mail' });
+  if (event_date && !/^\d{4}-\d{2}-\d{2}$/.test(event_date)) return res.status(400).json({ message: 'Nieprawidłowa data wydarzenia' });
+  // The limit is checked by the insert itself, so parallel requests cannot
+  // all pass it
+  const windowStart = `datetime('now', '-${INQUIRY_WINDOW_MINUTES} minutes')`;
+  db.run(
+    `INSERT INTO inquiries (page_id, name, email, phone, event_date, location, attractions, message, ip)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE (SELECT COUNT(*) FROM inquiries WHERE ip=? AND created_at > ${windowStart}) < ?`,
+    [pageId, String(name).trim(), email || '', phone || '', event_date || '', location || '', JSON.stringify(attractions), message || '', req.ip,
+      req.ip, INQUIRY_LIMIT_PER_IP],
+    function(err) {
+      if (err) return res.status(500).json({ message: 'Błąd wysyłania zapytania' });
+      if (this.changes) return res.json({ id: this.lastID, message: 'Dziękujemy! Odezwiemy się wkrótce.' });
+      const sql = `SELECT CAST(strftime('%s', MIN(created_at)) AS INTEGER) AS first FROM inquiries WHERE ip=? AND created_at > ${windowStart}`;
+      db.get(sql, [req.ip], (err2, row) => {
+        const wait = row && row.first ? Math.max(row.first + INQUIRY_WINDOW_MINUTES * 60 - Math.floor(Date.now() / 1000), 1) : INQUIRY_WINDOW_MINUTES * 60;
+        res.set('Retry-After', String(wait));
+        res.status(429).json({ message: 'Wysłano zbyt wiele zapytań. Spróbuj ponownie później.', retry_after: wait });
+      });
+    }
+  );
+});
+app.get('/api/inquiries', authenticateToken, (req, res) => {
+  const conditions = [];
+  const params = [];
+  if (req.user.role !== 'owner') {
+    conditions.push('i.page_id IN (SELECT page_id FROM user_pages WHERE user_id=?)');
+    params.push(req.user.id);
+  }
+  if (req.query.status) {
+    conditions.push('i.status=?');
+    params.push(req.query.status);
+  }
+  if (req.query.unread) {
+    conditions.push('i.is_read=0');
+  }
+  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+  db.all(`SELECT i.*, p.name AS page_name FROM inquiries i LEFT JOIN pages p ON p.id = i.page_id ${where} ORDER BY i.created_at DESC, i.id DESC`, params, (err, rows) => {
+    if (err) return res.status(500).json({ message: 'Błąd pobierania zapytań' });
+    (rows || []).forEach(row => {
+      try {
+        row.attractions = JSON.parse(row.attractions || '[]');
+      } catch (e) {
+        row.attractions = [];
+      }
+    });
+    res.json(rows || []);
+  });
+});
+app.put('/api/inquiries/:id', authenticateToken, requirePageAccess(pageFromRow('inquiries')), (req, res) => {
+  const id = req.params.id;
+  db.get('SELECT * FROM inquiries WHERE id=?', [id], (err, row) => {
+    if (!row) return res.status(404).json({ message: 'Nie znaleziono' });
+    const status = req.body.status !== undefined ? req.body.status : row.status;
+    if (!INQUIRY_STATUSES.includes(status)) return res.status(400).json({ message: 'Nieprawidłowy status' });
+    const isRead = req.body.is_read !== undefined ? (req.body.is_read ? 1 : 0) : row.is_read;
+    const notes = req.body.notes !== undefined ? req.body.notes : row.notes;
+    db.run('UPDATE inquiries SET status=?, is_read=?, notes=? WHERE id=?', [status, isRead, notes, id], function(err2) {
+      if (err2) return res.status(500).json({ message: 'Błąd zapisu' });
+      res.json({ message: 'Zaktualizowano' });
+    });
+  });
+});
+app.delete('/api/inquiries/:id', authenticateToken, requirePageAccess(pageFromRow('inquiries')), (req, res) => {
+  const id = req.params.id;
+  db.run('DELETE FROM inquiries WHERE id=?', [id], function(err) {
+    if (err) return res.status(500).json({ message: 'Błąd usuwania' });
+    res.json({ message: 'Usunięto' });
+  });
+});
+
+// Equipment inventory
+app.get('/api/equipment', authenticateToken, (req, res) => {
+  db.all('SELECT id, name, type, notes, active FROM equipment ORDER BY type, name', [], (err, rows) => {
+    res.json(rows || []);
+  });
+});
+app.post('/api/equipment', authenticateToken, (req, res) => {
+  const { name, type, notes } = req.body;
+  if (!name) return res.status(400).json({ message: 'Brak nazwy sprzętu' });
+  db.run('INSERT INTO equipment (name, type, notes) VALUES (?, ?, ?)', [name, type || '', notes || ''], function(err) {
+    if (err) return res.status(500).json({ message: 'Błąd dodawania' });
+    res.json({ id: this.lastID, name, type: type || '', notes: notes || '', active: 1 });
+  });
+});
+app.put('/api/equipment/:id', authenticateToken, (req, res) => {
+  const id = req.params.id;
+  db.get('SELECT * FROM equipment WHERE id=?', [id], (err, row) => {
+    if (!row) return res.status(404).json({ message: 'Nie znaleziono' });
+    const name = req.body.name !== undefined ? req.body.name : row.name;
+    const type = req.body.type !== undefined ? req.body.type : row.type;
+    const notes = req.body.notes !== undefined ? req.body.notes : row.notes;
+    const active = req.body.active !== undefined ? (req.body.active ? 1 : 0) : row.active;
+    db.run('UPDATE equipment SET name=?, type=?, notes=?, active=? WHERE id=?', [name, type, notes, active, id], function(err2) {
+      if (err2) return res.status(500).json({ message: 'Błąd zapisu' });
+      res.json({ message: 'Zaktualizowano' });
+    });
+  });
+});
+app.delete('/api/equipment/:id', authenticateToken, (req, res) => {
+  const id = req.params.id;
+  // Units with upcoming bookings can only be deactivated, not removed
+  const sql = `SELECT COUNT(*) AS count FROM booking_equipment be JOIN bookings b ON b.id = be.booking_id
+    WHERE be.equipment_id=? AND b.status != 'cancelled' AND b.end_at >= ?`;
+  db.get(sql, [id, toLocalDateTime(new Date())], (err, row) => {
+    if (row && row.count > 0) return res.status(409).json({ message: 'Sprzęt ma zaplanowane rezerwacje' });
+    db.run('DELETE FROM booking_equipment WHERE equipment_id=?', [id], () => {
+      db.run('DELETE FROM equipment WHERE id=?', [id], function(err2) {
+        if (err2) return res.status(500).json({ message: 'Błąd usuwania' });
+        res.json({ message: 'Usunięto' });
+      });
+    });
+  });
+});
+
+// Bookings
+const BOOKING_STATUSES = ['confirmed', 'tentative', 'cancelled'];
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+// Format a Date as the local "YYYY-MM-DDTHH:MM" string used by bookings
+function toLocalDateTime(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Whether a "YYYY-MM-DD" string names a real calendar day
+function isCalendarDate(day) {
+  const date = new Date(day + 'T00:00:00Z');
+  return !isNaN(date) && date.toISOString().slice(0, 10) === day;
+}
+
+// Whether a "YYYY-MM-DDTHH:MM" string names a real day and time
+function isDateTime(value) {
+  return DATETIME_PATTERN.test(value || '') && isCalendarDate(value.slice(0, 10))
+    && value.slice(11, 13) <= '23' && value.slice(14) <= '59';
+}
+
+// The "YYYY-MM-DD" day following the given one
+function nextDay(day) {
+  const date = new Date(day + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find bookings that already hold any of the given units during
+ * [startAt, endAt). `excludeId` skips the booking being edited. Resolves
+ * to a list of { booking_id, client_name, start_at, end_at, equipment_id,
+ * equipment_name }.
+ */
+async function findBookingConflicts(equipmentIds, startAt, endAt, excludeId, all = dbAll) {
+  if (equipmentIds.length === 0) return [];
+  const placeholders = equipmentIds.map(() => '?').join(',');
+  const sql = `SELECT b.id AS booking_id, b.client_name, b.start_at, b.end_at, e.id AS equipment_id, e.name AS equipment_name
+    FROM bookings b
+    JOIN booking_equipment be ON be.booking_id = b.id
+    JOIN equipment e ON e.id = be.equipment_id
+    WHERE be.equipment_id IN (${placeholders})
+      AND b.status != 'cancelled'
+      AND b.start_at < ? AND b.end_at > ?
+      AND b.id != ?`;
+  return all(sql, [...equipmentIds, endAt, startAt, excludeId || 0]);
+}
+
+/**
+ * Validate a booking payload; resolves to an error message or null. Every
+ * unit has to exist and be active, except units `existing` (the booking
+ * being edited) already holds.
+ */
+async function validateBooking(booking, existing, all = dbAll) {
+  if (!booking.client_name) return 'Podaj nazwę klienta';
+  if (!isDateTime(booking.start_at) || !isDateTime(booking.end_at)) return 'Nieprawidłowy termin';
+  if (booking.start_at >= booking.end_at) return 'Koniec rezerwacji musi być po jej początku';
+  if (!BOOKING_STATUSES.includes(booking.status)) return 'Nieprawidłowy status';
+  if (booking.equipment_ids.length === 0) return 'Wybierz sprzęt';
+  const held = existing ? existing.equipment.map(e => e.id) : [];
+  const units = await all(`SELECT id, active FROM equipment WHERE id IN (${booking.equipment_ids.map(() => '?').join(',')})`, booking.equipment_ids);
+  const usable = units.filter(unit => unit.active || held.includes(unit.id));
+  if (usable.length !== booking.equipment_ids.length) return 'Wybrany sprzęt nie istnieje lub jest nieaktywny';
+  return null;
+}
+
+// Attach the assigned units to each booking row
+function attachBookingEquipment(bookings, cb) {
+  if (bookings.length === 0) return cb(bookings);
+  const ids = bookings.map(b => b.id);
+  const sql = `SELECT be.booking_id, e.id, e.name, e.type FROM booking_equipment be
+    JOIN equipment e ON e.id = be.equipment_id
+    WHERE be.booking_id IN (${ids.map(() => '?').join(',')})`;
+  db.all(sql, ids, (err, rows) => {
+    bookings.forEach(b => {
+      b.equipment = (rows || []).filter(r => r.booking_id === b.id).map(r => ({ id: r.id, name: r.name, type: r.type }));
+    });
+    cb(bookings);
+  });
+}
+
+// List bookings overlapping a month (?month=YYYY-MM) or a range (?from=&to=)
+app.get('/api/bookings', authenticateToken, (req, res) => {
+  let from = req.query.from;
+  let to = req.query.to;
+  if (req.query.month && /^\d{4}-\d{2}$/.test(req.query.month)) {
+    const [year, month] = req.query.month.split('-').map(Number);
+    from = `${req.query.month}-01T00:00`;
+    to = month === 12 ? `${year + 1}-01-01T00:00` : `${year}-${String(month + 1).padStart(2, '0')}-01T00:00`;
+  }
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push('end_at > ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('start_at < ?');
+    params.push(to);
+  }
+  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+  db.all(`SELECT * FROM bookings ${where} ORDER BY start_at`, params, (err, rows) => {
+    if (err) return res.status(500).json({ message: 'Błąd pobierania rezerwacji' });
+    attachBookingEquipment(rows || [], bookings => res.json(bookings));
+  });
+});
+
+// Create or update a booking. Overlapping reservations of the same unit are
+// rejected with 409 and the list of conflicting bookings. The checks and
+// the write share one transaction, so two requests cannot both pass the
+// conflict check before either has written its rows.
+function saveBooking(req, res, existing) {
+  const body = req.body;
+  const booking = {
+    client_name: body.client_name !== undefined ? body.client_name : existing && existing.client_name,
+    client_email: body.client_email !== undefined ? body.client_email : (existing ? existing.client_email : ''),
+    client_phone: body.client_phone !== undefined ? body.client_phone : (existing ? existing.client_phone : ''),
+    location: body.location !== undefined ? body.location : (existing ? existing.location : ''),
+    start_at: body.start_at !== undefined ? body.start_at : existing && existing.start_at,
+    end_at: body.end_at !== undefined ? body.end_at : existing && existing.end_at,
+    status: body.status !== undefined ? body.status : (existing ? existing.status : 'confirmed'),
+    notes: body.notes !== undefined ? body.notes : (existing ? existing.notes : ''),
+    inquiry_id: body.inquiry_id !== undefined ? body.inquiry_id || null : (existing ? existing.inquiry_id : null),
+    equipment_ids: Array.isArray(body.equipment_ids)
+      ? [...new Set(body.equipment_ids.map(Number).filter(Boolean))]
+      : (existing ? existing.equipment.map(e => e.id) : [])
+  };
+  withTransaction(async ({ run, all }) => {
+    const error = await validateBooking(booking, existing, all);
+    if (error) return [400, { message: error }];
+    const conflicts = booking.status === 'cancelled'
+      ? []
+      : await findBookingConflicts(booking.equipment_ids, booking.start_at, booking.end_at, existing && existing.id, all);
+    if (conflicts.length) return [409, { message: 'Sprzęt jest już zarezerwowany w tym terminie', conflicts }];
+    const values = [booking.inquiry_id, booking.client_name, booking.client_email, booking.client_phone, booking.location, booking.start_at, booking.end_at, booking.status, booking.notes];
+    let bookingId;
+    if (existing) {
+      await run('UPDATE bookings SET inquiry_id=?, client_name=?, client_email=?, client_phone=?, location=?, start_at=?, end_at=?, status=?, notes=? WHERE id=?', [...values, existing.id]);
+      bookingId = existing.id;
+    } else {
+      bookingId = (await run('INSERT INTO bookings (inquiry_id, client_name, client_email, client_phone, location, start_at, end_at, status, notes) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)', values)).lastID;
+    }
+    await run('DELETE FROM booking_equipment WHERE booking_id=?', [bookingId]);
+    for (const equipmentId of booking.equipment_ids) {
+      await run('INSERT INTO booking_equipment (booking_id, equipment_id) VALUES (?, ?)', [bookingId, equipmentId]);
+    }
+    return [200, { id: bookingId, ...booking }];
+  }).then(([status, payload]) => res.status(status).json(payload), err => {
+    console.error('Error saving booking:', err);
+    res.status(500).json({ message: 'Błąd zapisu' });
+  });
+}
+app.post('/api/bookings', authenticateToken, (req, res) => {
+  saveBooking(req, res, null);
+});
+app.put('/api/bookings/:id', authenticateToken, (req, res) => {
+  db.get('SELECT * FROM bookings WHERE id=?', [req.params.id], (err, row) => {
+    if (!row) return res.status(404).json({ message: 'Nie znaleziono' });
+    attachBookingEquipment([row], () => saveBooking(req, res, row));
+  });
+});
+app.delete('/api/bookings/:id', authenticateToken, (req, res) => {
+  const id = req.params.id;
+  db.run('DELETE FROM booking_equipment WHERE booking_id=?', [id], () => {
+    db.run('DELETE FROM bookings WHERE id=?', [id], function(err) {
+      if (err) return res.status(500).json({ message: 'Błąd usuwania' });
+      res.json({ message: 'Usunięto' });
+    });
+  });
+});
+
+// Public availability for a single day (?date=YYYY-MM-DD). Only reports
+// which equipment types are free; no client data is exposed.
+app.get('/api/availability', (req, res) => {
+  const date = req.query.date;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !isCalendarDate(date)) return res.status(400).json({ message: 'Nieprawidłowa data' });
+  const from = `${date}T00:00`;
+  const to = `${nextDay(date)}T00:00`;
+  const sql = `SELECT e.id, e.name, e.type,
+      EXISTS (SELECT 1 FROM booking_equipment be JOIN bookings b ON b.id = be.booking_id
+        WHERE be.equipment_id = e.id AND b.status != 'cancelled' AND b.start_at < ? AND b.end_at > ?) AS booked
+    FROM equipment e WHERE e.active = 1 ORDER BY e.type, e.name`;
+  db.all(sql, [to, from], (err, rows) => {
+    if (err) return res.status(500).json({ message: 'Błąd sprawdzania dostępności' });
+    // Group units by type: a type is free if any of its units is free
+    const types = [];
+    (rows || []).forEach(r => {
+      const type = r.type || r.name;
+      let entry = types.find(t => t.type === type);
+      if (!entry) {
+        entry = { type, available: false };
+        types.push(entry);
+      }
+      if (!r.booked) entry.available = true;
+    });
+    res.json({ date, available: types.some(t => t.available), types });
+  });
+});
+
+// Pricing and quotes
+
+// Read all settings, filling in DEFAULT_SETTINGS for missing keys
+function getSettings(cb) {
+  db.all('SELECT key, value FROM settings', [], (err, rows) => {
+    const settings = { ...DEFAULT_SETTINGS };
+    (rows || []).forEach(r => {
+      settings[r.key] = r.value;
+    });
+    cb(settings);
+  });
+}
+
+// Load everything needed to price a page: offers with prices, locations with
+// travel fees, packages and the weekend settings
+function loadPricing(pageId, cb) {
+  const pricing = {};
+  db.all(`SELECT o.id, o.title, COALESCE(op.base_price, 0) AS base_price, COALESCE(op.hourly_rate, 0) AS hourly_rate
+    FROM offers o LEFT JOIN offer_prices op ON op.offer_id = o.id
+    WHERE o.page_id=? ORDER BY o.position, o.id`, [pageId], (err1, offers) => {
+    pricing.offers = offers || [];
+    db.all(`SELECT l.id, l.name, COALESCE(lf.travel_fee, 0) AS travel_fee
+      FROM locations l LEFT JOIN location_fees lf ON lf.location_id = l.id
+      WHERE l.page_id=? ORDER BY l.position, l.id`, [pageId], (err2, locations) => {
+      pricing.locations = locations || [];
+      db.all('SELECT id, name, discount_percent FROM price_packages WHERE page_id=? ORDER BY id', [pageId], (err3, packages) => {
+        pricing.packages = packages || [];
+        db.all(`SELECT ppo.package_id, ppo.offer_id FROM price_package_offers ppo
+          JOIN price_packages pp ON pp.id = ppo.package_id WHERE pp.page_id=?`, [pageId], (err4, links) => {
+          pricing.packages.forEach(pkg => {
+            pkg.offer_ids = (links || []).filter(l => l.package_id === pkg.id).map(l => l.offer_id);
+          });
+          getSettings(settings => {
+            pricing.weekend_surcharge_percent = parseFloat(settings.weekend_surcharge_percent) || 0;
+            pricing.weekend_days = settings.weekend_days.split(',').filter(d => d !== '').map(Number);
+            cb(pricing);
+          });
+        });
+      });
+    });
+  });
+}
 
-// Update navigation for a page
-app.put('/api/nav', authenticateToken, (req, res) => {
-  const pageId = parseInt(req.query.pageId) || 1;
-  const { facebook_url, instagram_url } = req.body;
-  db.run('INSERT OR IGNORE INTO nav (page_id, facebook_url, instagram_url) VALUES (?, ?, ?)', [pageId, '', ''], () => {
-    db.run('UPDATE nav SET facebook_url=?, instagram_url=? WHERE page_id=?', [facebook_url, instagram_url, pageId], function(err) {
-      if (err) return res.status(500).json({ message: 'Błąd zapisu' });
-      res.json({ message: 'Nawigacja zaktualizowana' });
+/**
+ * Pricing for visitors: the offers and locations of the published page,
+ * under their published titles and in their published order, with the
+ * current prices. Packages keep only published offers. Null when the page
+ * was never published.
+ */
+function loadPublishedPricing(pageId, cb) {
+  loadPublishedContent(pageId, content => {
+    if (!content) return cb(null);
+    loadPricing(pageId, pricing => {
+      const offerPrices = new Map(pricing.offers.map(o => [o.id, o]));
+      const travelFees = new Map(pricing.locations.map(l => [l.id, l]));
+      pricing.offers = (content.offers || []).map(o => {
+        const price = offerPrices.get(o.id) || {};
+        return { id: o.id, title: o.title, base_price: price.base_price || 0, hourly_rate: price.hourly_rate || 0 };
+      });
+      pricing.locations = (content.locations || []).map(l => ({ id: l.id, name: l.name, travel_fee: (travelFees.get(l.id) || {}).travel_fee || 0 }));
+      const published = new Set(pricing.offers.map(o => o.id));
+      pricing.packages = pricing.packages
+        .map(pkg => ({ ...pkg, offer_ids: pkg.offer_ids.filter(id => published.has(id)) }))
+        .filter(pkg => pkg.offer_ids.length > 0);
+      cb(pricing);
     });
   });
-});
+}
 
-// Video frames CRUD
-app.post('/api/video-frames', authenticateToken, upload.array('files', 4), (req, res) => {
-  const pageId = parseInt(req.query.pageId) || 1;
-  const files = req.files;
-  if (!files || files.length === 0) return res.status(400).json({ message: 'Brak plików' });
-  const stmt = db.prepare('INSERT INTO video_frames (page_id, file_path, alt_text) VALUES (?, ?, ?)');
-  files.forEach(file => {
-    stmt.run(pageId, '/uploads/' + file.filename, file.originalname);
+const roundPrice = value => Math.round(value * 100) / 100;
+
+/**
+ * Build an itemised estimate. `selection` holds offer_ids, hours,
+ * event_date (YYYY-MM-DD) and location_id. Packages are applied greedily,
+ * largest saving first, and never share an offer. The weekend surcharge is
+ * a percentage of the discounted attractions; the travel fee is added last.
+ */
+function calculateQuote(pricing, selection) {
+  const hours = Math.max(0, parseFloat(selection.hours) || 0);
+  const chosen = pricing.offers.filter(o => selection.offer_ids.includes(o.id));
+  const items = [];
+  const offerTotals = {};
+  chosen.forEach(offer => {
+    offerTotals[offer.id] = offer.base_price + offer.hourly_rate * hours;
+    items.push({ type: 'offer', label: offer.title, amount: roundPrice(offer.base_price) });
+    if (offer.hourly_rate && hours) {
+      items.push({ type: 'hours', label: `${offer.title} – ${hours} h × ${offer.hourly_rate} zł`, amount: roundPrice(offer.hourly_rate * hours) });
+    }
   });
-  stmt.finalize();
-  res.json({ message: 'Ramki dodane' });
-});
-app.delete('/api/video-frames/:id', authenticateToken, (req, res) => {
-  const id = req.params.id;
-  db.get('SELECT file_path FROM video_frames WHERE id=?', [id], (err, row) => {
-    if (!row) return res.status(404).json({ message: 'Nie znaleziono' });
-    const filePath = path.join(__dirname, row.file_path);
-    fs.unlink(filePath, () => {
-      db.run('DELETE FROM video_frames WHERE id=?', [id], () => {
-        res.json({ message: 'Usunięto' });
-      });
+  let subtotal = Object.values(offerTotals).reduce((sum, v) => sum + v, 0);
+
+  const used = new Set();
+  pricing.packages
+    .filter(pkg => pkg.offer_ids.length > 0 && pkg.offer_ids.every(id => offerTotals[id] !== undefined))
+    .map(pkg => ({ pkg, saving: pkg.offer_ids.reduce((sum, id) => sum + offerTotals[id], 0) * pkg.discount_percent / 100 }))
+    .sort((a, b) => b.saving - a.saving)
+    .forEach(({ pkg, saving }) => {
+      if (saving <= 0 || pkg.offer_ids.some(id => used.has(id))) return;
+      pkg.offer_ids.forEach(id => used.add(id));
+      items.push({ type: 'package', label: `Pakiet ${pkg.name} (-${pkg.discount_percent}%)`, amount: -roundPrice(saving) });
+      subtotal -= saving;
     });
-  });
-});
 
-// Welcome header
-app.put('/api/welcome-header', authenticateToken, (req, res) => {
+  if (selection.event_date && pricing.weekend_surcharge_percent) {
+    const day = new Date(selection.event_date + 'T12:00:00Z').getUTCDay();
+    if (pricing.weekend_days.includes(day)) {
+      const surcharge = subtotal * pricing.weekend_surcharge_percent / 100;
+      items.push({ type: 'weekend', label: `Dopłata weekendowa (${pricing.weekend_surcharge_percent}%)`, amount: roundPrice(surcharge) });
+      subtotal += surcharge;
+    }
+  }
+
+  const location = pricing.locations.find(l => l.id === selection.location_id);
+  if (location && location.travel_fee) {
+    items.push({ type: 'travel', label: `Dojazd: ${location.name}`, amount: roundPrice(location.travel_fee) });
+    subtotal += location.travel_fee;
+  }
+
+  return { items, total: roundPrice(subtotal), currency: 'PLN' };
+}
+
+// Public pricing data for the calculator widget
+app.get('/api/pricing', (req, res) => {
   const pageId = parseInt(req.query.pageId) || 1;
-  const { title, subtitle } = req.body;
-  db.run('INSERT OR IGNORE INTO welcome_header (page_id, title, subtitle) VALUES (?, ?, ?)', [pageId, '', ''], () => {
-    db.run('UPDATE welcome_header SET title=?, subtitle=? WHERE page_id=?', [title, subtitle, pageId], function(err) {
-      if (err) return res.status(500).json({ message: 'Błąd zapisu' });
-      res.json({ message: 'Nagłówek zaktualizowany' });
-    });
+  loadPublishedPricing(pageId, pricing => {
+    if (!pricing) return res.status(404).json({ message: 'Strona nie została opublikowana' });
+    res.json(pricing);
   });
 });
+// Pricing of the page's draft, for the editor
+app.get('/api/pricing/draft', authenticateToken, requirePageAccess(pageFromQuery), (req, res) => {
+  const pageId = parseInt(req.query.pageId) || 1;
+  loadPricing(pageId, pricing => res.json(pricing));
+});
 
-// Statistics
-app.get('/api/stats', (req, res) => {
+// Public itemised estimate
+app.post('/api/quote', (req, res) => {
   const pageId = parseInt(req.query.pageId) || 1;
-  db.all('SELECT id, label, value FROM stats WHERE page_id=?', [pageId], (err, rows) => {
-    res.json(rows || []);
+  const offerIds = Array.isArray(req.body.offer_ids) ? req.body.offer_ids.map(Number) : [];
+  const eventDate = req.body.event_date;
+  if (offerIds.length === 0) return res.status(400).json({ message: 'Wybierz co najmniej jedną atrakcję' });
+  if (eventDate && !/^\d{4}-\d{2}-\d{2}$/.test(eventDate)) return res.status(400).json({ message: 'Nieprawidłowa data wydarzenia' });
+  loadPublishedPricing(pageId, pricing => {
+    if (!pricing) return res.status(404).json({ message: 'Strona nie została opublikowana' });
+    res.json(calculateQuote(pricing, {
+      offer_ids: offerIds,
+      hours: req.body.hours,
+      event_date: eventDate,
+      location_id: parseInt(req.body.location_id) || null
+    }));
   });
 });
-app.post('/api/stats', authenticateToken, (req, res) => {
-  const pageId = parseInt(req.query.pageId) || 1;
-  const { label, value } = req.body;
-  db.run('INSERT INTO stats (page_id, label, value) VALUES (?, ?, ?)', [pageId, label, value], function(err) {
-    if (err) return res.status(500).json({ message: 'Błąd dodawania' });
-    res.json({ id: this.lastID, label, value });
+
+// Pricing rules (admin)
+app.put('/api/pricing/offers/:offerId', authenticateToken, requirePageAccess(pageFromRow('offers', 'offerId')), (req, res) => {
+  const offerId = req.params.offerId;
+  const basePrice = parseFloat(req.body.base_price) || 0;
+  const hourlyRate = parseFloat(req.body.hourly_rate) || 0;
+  if (basePrice < 0 || hourlyRate < 0) return res.status(400).json({ message: 'Cena nie może być ujemna' });
+  db.run('INSERT OR REPLACE INTO offer_prices (offer_id, base_price, hourly_rate) VALUES (?, ?, ?)', [offerId, basePrice, hourlyRate], function(err) {
+    if (err) return res.status(500).json({ message: 'Błąd zapisu' });
+    res.json({ message: 'Cennik zaktualizowany' });
   });
 });
-app.put('/api/stats/:id', authenticateToken, (req, res) => {
-  const id = req.params.id;
-  const { value } = req.body;
-  db.run('UPDATE stats SET value=? WHERE id=?', [value, id], function(err) {
+app.put('/api/pricing/locations/:locationId', authenticateToken, requirePageAccess(pageFromRow('locations', 'locationId')), (req, res) => {
+  const locationId = req.params.locationId;
+  const travelFee = parseFloat(req.body.travel_fee) || 0;
+  if (travelFee < 0) return res.status(400).json({ message: 'Cena nie może być ujemna' });
+  db.run('INSERT OR REPLACE INTO location_fees (location_id, travel_fee) VALUES (?, ?)', [locationId, travelFee], function(err) {
     if (err) return res.status(500).json({ message: 'Błąd zapisu' });
-    res.json({ message: 'Zaktualizowano' });
+    res.json({ message: 'Cennik zaktualizowany' });
   });
 });
-app.delete('/api/stats/:id', authenticateToken, (req, res) => {
-  const id = req.params.id;
-  db.run('DELETE FROM stats WHERE id=?', [id], function(err) {
-    if (err) return res.status(500).json({ message: 'Błąd usuwania' });
-    res.json({ message: 'Usunięto' });
+app.put('/api/pricing/settings', authenticateToken, requireRole('owner'), (req, res) => {
+  const updates = {};
+  if (req.body.weekend_surcharge_percent !== undefined) {
+    updates.weekend_surcharge_percent = String(parseFloat(req.body.weekend_surcharge_percent) || 0);
+  }
+  if (req.body.weekend_days !== undefined) {
+    const days = Array.isArray(req.body.weekend_days) ? req.body.weekend_days : String(req.body.weekend_days).split(',');
+    updates.weekend_days = days.map(d => parseInt(d)).filter(d => d >= 0 && d <= 6).join(',');
+  }
+  const stmt = db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)');
+  Object.keys(updates).forEach(key => stmt.run(key, updates[key]));
+  stmt.finalize(err => {
+    if (err) return res.status(500).json({ message: 'Błąd zapisu' });
+    res.json({ message: 'Cennik zaktualizowany' });
   });
 });
 
-// Gallery
-app.get('/api/gallery', (req, res) => {
-  const pageId = parseInt(req.query.pageId) || 1;
-  db.all('SELECT id, file_path, alt_text FROM gallery WHERE page_id=?', [pageId], (err, rows) => {
-    res.json(rows || []);
+// Check that every offer of a package is an offer of the package's page;
+// calls back with an error message or null
+function checkPackageOffers(pageId, offerIds, cb) {
+  const ids = [...new Set(offerIds)];
+  if (ids.length === 0) return cb(null);
+  db.get(`SELECT COUNT(*) AS count FROM offers WHERE page_id=? AND id IN (${ids.map(() => '?').join(',')})`, [pageId, ...ids], (err, row) => {
+    if (err) return cb('Błąd sprawdzania ofert');
+    cb(row.count === ids.length ? null : 'Pakiet może zawierać tylko oferty tej strony');
   });
-});
-app.post('/api/gallery', authenticateToken, upload.array('images', 20), (req, res) => {
+}
+
+// Store the offers belonging to a package, replacing any previous list
+function savePackageOffers(packageId, offerIds, cb) {
+  db.run('DELETE FROM price_package_offers WHERE package_id=?', [packageId], () => {
+    const stmt = db.prepare('INSERT OR IGNORE INTO price_package_offers (package_id, offer_id) VALUES (?, ?)');
+    offerIds.forEach(offerId => stmt.run(packageId, offerId));
+    stmt.finalize(cb);
+  });
+}
+app.post('/api/pricing/packages', authenticateToken, requirePageAccess(pageFromQuery), (req, res) => {
   const pageId = parseInt(req.query.pageId) || 1;
-  const files = req.files;
-  if (!files || files.length === 0) return res.status(400).json({ message: 'Brak plików' });
-  const stmt = db.prepare('INSERT INTO gallery (page_id, file_path, alt_text) VALUES (?, ?, ?)');
-  files.forEach(file => {
-    stmt.run(pageId, '/uploads/' + file.filename, file.originalname);
+  const { name } = req.body;
+  const discount = parseFloat(req.body.discount_percent) || 0;
+  const offerIds = Array.isArray(req.body.offer_ids) ? req.body.offer_ids.map(Number) : [];
+  if (!name) return res.status(400).json({ message: 'Brak nazwy pakietu' });
+  if (discount < 0 || discount > 100) return res.status(400).json({ message: 'Rabat musi wynosić od 0 do 100%' });
+  if (offerIds.length < 2) return res.status(400).json({ message: 'Pakiet musi zawierać co najmniej dwie oferty' });
+  checkPackageOffers(pageId, offerIds, offersError => {
+    if (offersError) return res.status(400).json({ message: offersError });
+    db.run('INSERT INTO price_packages (page_id, name, discount_percent) VALUES (?, ?, ?)', [pageId, name, discount], function(err) {
+      if (err) return res.status(500).json({ message: 'Błąd dodawania' });
+      const id = this.lastID;
+      savePackageOffers(id, offerIds, () => res.json({ id, name, discount_percent: discount, offer_ids: offerIds }));
+    });
   });
-  stmt.finalize();
-  res.json({ message: 'Zdjęcia dodane' });
 });
-app.delete('/api/gallery/:id', authenticateToken, (req, res) => {
+app.put('/api/pricing/packages/:id', authenticateToken, requirePageAccess(pageFromRow('price_packages')), (req, res) => {
   const id = req.params.id;
-  db.get('SELECT file_path FROM gallery WHERE id=?', [id], (err, row) => {
+  db.get('SELECT * FROM price_packages WHERE id=?', [id], (err, row) => {
     if (!row) return res.status(404).json({ message: 'Nie znaleziono' });
-    const filePath = path.join(__dirname, row.file_path);
-    fs.unlink(filePath, () => {
-      db.run('DELETE FROM gallery WHERE id=?', [id], () => {
-        res.json({ message: 'Usunięto' });
+    const name = req.body.name !== undefined ? req.body.name : row.name;
+    const discount = req.body.discount_percent !== undefined ? parseFloat(req.body.discount_percent) || 0 : row.discount_percent;
+    if (discount < 0 || discount > 100) return res.status(400).json({ message: 'Rabat musi wynosić od 0 do 100%' });
+    const offerIds = Array.isArray(req.body.offer_ids) ? req.body.offer_ids.map(Number) : null;
+    checkPackageOffers(row.page_id, offerIds || [], offersError => {
+      if (offersError) return res.status(400).json({ message: offersError });
+      db.run('UPDATE price_packages SET name=?, discount_percent=? WHERE id=?', [name, discount, id], function(err2) {
+        if (err2) return res.status(500).json({ message: 'Błąd zapisu' });
+        if (!offerIds) return res.json({ message: 'Zaktualizowano' });
+        savePackageOffers(id, offerIds, () => res.json({ message: 'Zaktualizowano' }));
       });
     });
   });
 });
+app.delete('/api/pricing/packages/:id', authenticateToken, requirePageAccess(pageFromRow('price_packages')), (req, res) => {
+  const id = req.params.id;
+  db.run('DELETE FROM price_package_offers WHERE package_id=?', [id], () => {
+    db.run('DELETE FROM price_packages WHERE id=?', [id], function(err) {
+      if (err) return res.status(500).json({ message: 'Błąd usuwania' });
+      res.json({ message: 'Usunięto' });
+    });
+  });
+});
 
-// Locations
-app.get('/api/locations', (req, res) => {
-  const pageId = parseInt(req.query.pageId) || 1;
-  db.all('SELECT id, name FROM locations WHERE page_id=?', [pageId], (err, rows) => {
+// Pages listing and creation. Accounts other than owners only see the
+// pages they may edit.
+app.get('/api/pages', authenticateToken, (req, res) => {
+  const owner = req.user.role === 'owner';
+  const sql = `SELECT pages.id, pages.name, pages.slug, published_pages.published_at FROM pages
+    LEFT JOIN published_pages ON published_pages.page_id = pages.id
+    ${owner ? '' : 'WHERE pages.id IN (SELECT page_id FROM user_pages WHERE user_id=?)'}
+    ORDER BY pages.id`;
+  db.all(sql, owner ? [] : [req.user.id], (err, rows) => {
     res.json(rows || []);
   });
 });
-app.post('/api/locations', authenticateToken, (req, res) => {
-  const pageId = parseInt(req.query.pageId) || 1;
-  const { name } = req.body;
-  db.run('INSERT INTO locations (page_id, name) VALUES (?, ?)', [pageId, name], function(err) {
-    if (err) return res.status(500).json({ message: 'Błąd dodawania' });
-    res.json({ id: this.lastID, name });
+
+// Draft content of a page, as edited in the admin panel
+app.get('/api/pages/:id/draft', authenticateToken, requirePageAccess(pageFromParam), (req, res) => {
+  const id = parseInt(req.params.id);
+  db.get('SELECT id FROM pages WHERE id=?', [id], (err, page) => {
+    if (!page) return res.status(404).json({ message: 'Nie znaleziono' });
+    loadPageContent(id, data => res.json(data));
   });
 });
-app.delete('/api/locations/:id', authenticateToken, (req, res) => {
-  const id = req.params.id;
-  db.run('DELETE FROM locations WHERE id=?', [id], function(err) {
-    if (err) return res.status(500).json({ message: 'Błąd usuwania' });
-    res.json({ message: 'Usunięto' });
+
+// Whether the draft differs from what visitors currently see
+app.get('/api/pages/:id/publish-status', authenticateToken, requirePageAccess(pageFromParam), (req, res) => {
+  const id = parseInt(req.params.id);
+  db.get('SELECT id FROM pages WHERE id=?', [id], (err, page) => {
+    if (!page) return res.status(404).json({ message: 'Nie znaleziono' });
+    db.get('SELECT content, published_at FROM published_pages WHERE page_id=?', [id], (err2, published) => {
+      loadPageContent(id, data => {
+        res.json({
+          published_at: published ? published.published_at : null,
+          has_changes: !published || published.content !== JSON.stringify(data)
+        });
+      });
+    });
   });
 });
 
-// Footer
-app.put('/api/footer', authenticateToken, (req, res) => {
-  const pageId = parseInt(req.query.pageId) || 1;
-  const { facebook_url, instagram_url, phone } = req.body;
-  db.run('INSERT OR IGNORE INTO footer (page_id, facebook_url, instagram_url, phone) VALUES (?, ?, ?, ?)', [pageId, '', '', ''], () => {
-    db.run('UPDATE footer SET facebook_url=?, instagram_url=?, phone=? WHERE page_id=?', [facebook_url, instagram_url, phone, pageId], function(err) {
-      if (err) return res.status(500).json({ message: 'Błąd zapisu' });
-      res.json({ message: 'Stopka zaktualizowana' });
+// Make the current draft of a page live
+app.post('/api/pages/:id/publish', authenticateToken, requirePageAccess(pageFromParam), (req, res) => {
+  const id = parseInt(req.params.id);
+  db.get('SELECT id FROM pages WHERE id=?', [id], (err, page) => {
+    if (!page) return res.status(404).json({ message: 'Nie znaleziono' });
+    publishPage(id, err2 => {
+      if (err2) return res.status(500).json({ message: 'Błąd publikacji' });
+      db.get('SELECT published_at FROM published_pages WHERE page_id=?', [id], (err3, row) => {
+        res.json({ message: 'Opublikowano', published_at: row.published_at });
+      });
     });
   });
 });
 
-// Pages listing and creation
-app.get('/api/pages', authenticateToken, (req, res) => {
-  db.all('SELECT id, name, slug FROM pages ORDER BY id', [], (err, rows) => {
-    res.json(rows || []);
+// Signed link token that lets anyone holding it view the draft of a page
+const PREVIEW_TOKEN_TTL = '7d';
+app.post('/api/pages/:id/preview', authenticateToken, requirePageAccess(pageFromParam), (req, res) => {
+  const id = parseInt(req.params.id);
+  db.get('SELECT id, slug FROM pages WHERE id=?', [id], (err, page) => {
+    if (!page) return res.status(404).json({ message: 'Nie znaleziono' });
+    const token = jwt.sign({ purpose: 'preview', page_id: page.id }, JWT_SECRET, { expiresIn: PREVIEW_TOKEN_TTL });
+    res.json({ token, slug: page.slug });
   });
 });
 
-app.post('/api/pages', authenticateToken, (req, res) => {
+// Paths served by the backend that a page slug must not take over
+const RESERVED_SLUGS = ['adminpanel', 'adminloginpanel', 'js', 'style', 'images', 'videos', 'fonts', 'uploads', 'api'];
+
+// Default slug derived from a page name
+function slugify(name) {
+  return name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9\-]/g, '');
+}
+
+// Returns an error message when the slug cannot be used for a page folder
+function validateSlug(slug) {
+  if (!slug || !/^[a-z0-9][a-z0-9-]*$/.test(slug)) return 'Nieprawidłowy slug (dozwolone: a-z, 0-9, -)';
+  if (RESERVED_SLUGS.includes(slug.toLowerCase())) return 'Slug zarezerwowany';
+  return null;
+}
+
+app.post('/api/pages', authenticateToken, requireRole('owner'), (req, res) => {
   let { name, slug } = req.body;
   if (!name) return res.status(400).json({ message: 'Brak nazwy strony' });
   if (!slug) {
-    slug = name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9\-]/g, '');
+    slug = slugify(name);
   }
+  const slugError = validateSlug(slug);
+  if (slugError) return res.status(400).json({ message: slugError });
   // Ensure slug uniqueness
   db.get('SELECT id FROM pages WHERE slug=?', [slug], (err, row) => {
     if (row) return res.status(400).json({ message: 'Slug zajęty' });
@@ -378,19 +2922,23 @@ app.post('/api/pages', authenticateToken, (req, res) => {
       db.run('INSERT INTO nav (page_id, facebook_url, instagram_url) VALUES (?, ?, ?)', [newPageId, '', '']);
       db.run('INSERT INTO welcome_header (page_id, title, subtitle) VALUES (?, ?, ?)', [newPageId, '', '']);
       db.run('INSERT INTO footer (page_id, facebook_url, instagram_url, phone) VALUES (?, ?, ?, ?)', [newPageId, '', '', '']);
+      // Copy default offer cards and their prices from page 1
+      db.run('INSERT INTO offers (page_id, title, description, image_path, position) SELECT ?, title, description, image_path, position FROM offers WHERE page_id=?', [newPageId, 1], () => {
+        db.run(`INSERT INTO offer_prices (offer_id, base_price, hourly_rate)
+          SELECT n.id, op.base_price, op.hourly_rate FROM offers n
+          JOIN offers o ON o.page_id=? AND o.title=n.title AND o.position=n.position
+          JOIN offer_prices op ON op.offer_id=o.id
+          WHERE n.page_id=?`, [1, newPageId]);
+      });
       // Copy default stats from page 1
-      db.all('SELECT label, value FROM stats WHERE page_id=?', [1], (err3, statsRows) => {
+      db.all('SELECT label, value, position FROM stats WHERE page_id=? ORDER BY position, id', [1], (err3, statsRows) => {
         if (statsRows && statsRows.length) {
-          const stmt = db.prepare('INSERT INTO stats (page_id, label, value) VALUES (?, ?, ?)');
+          const stmt = db.prepare('INSERT INTO stats (page_id, label, value, position) VALUES (?, ?, ?, ?)');
           statsRows.forEach(r => {
-            stmt.run(newPageId, r.label, r.value);
-          });
-          stmt.finalize(() => {
-            generateStaticPage(newPageId, slug, name);
-            res.json({ id: newPageId, name, slug });
+            stmt.run(newPageId, r.label, r.value, r.position);
           });
+          stmt.finalize(() => res.json({ id: newPageId, name, slug }));
         } else {
-          generateStaticPage(newPageId, slug, name);
           res.json({ id: newPageId, name, slug });
         }
       });
@@ -398,61 +2946,713 @@ app.post('/api/pages', authenticateToken, (req, res) => {
   });
 });
 
+// Rename a page and/or change its slug. The old slug redirects to the new
+// one, and the built site moves the page to its new <slug>/ folder on the
+// next build.
+app.put('/api/pages/:id', authenticateToken, requirePageAccess(pageFromParam), (req, res) => {
+  const id = parseInt(req.params.id);
+  db.get('SELECT * FROM pages WHERE id=?', [id], (err, page) => {
+    if (!page) return res.status(404).json({ message: 'Nie znaleziono' });
+    const name = req.body.name !== undefined ? String(req.body.name).trim() : page.name;
+    const slug = req.body.slug !== undefined ? String(req.body.slug).trim() : page.slug;
+    if (!name) return res.status(400).json({ message: 'Brak nazwy strony' });
+    const slugError = slug === page.slug ? null : validateSlug(slug);
+    if (slugError) return res.status(400).json({ message: slugError });
+    db.get('SELECT id FROM pages WHERE slug=? AND id!=?', [slug, id], (err2, taken) => {
+      if (taken) return res.status(400).json({ message: 'Slug zajęty' });
+      db.run('UPDATE pages SET name=?, slug=? WHERE id=?', [name, slug, id], function(err3) {
+        if (err3) return res.status(500).json({ message: 'Błąd zapisu' });
+        if (slug !== page.slug) {
+          // Links to the old address keep working
+          db.run('DELETE FROM page_redirects WHERE slug=?', [slug]);
+          db.run('INSERT OR REPLACE INTO page_redirects (slug, page_id) VALUES (?, ?)', [page.slug, id]);
+        }
+        scheduleSiteBuild();
+        res.json({ id, name, slug });
+      });
+    });
+  });
+});
+
+// Delete a page together with its content rows, its built folder and the
+// uploaded files only it was using. The home page (id 1) cannot be deleted.
+app.delete('/api/pages/:id', authenticateToken, requireRole('owner'), (req, res) => {
+  const id = parseInt(req.params.id);
+  if (id === 1) return res.status(400).json({ message: 'Nie można usunąć strony głównej' });
+  const pageSql = `SELECT pages.*, published_pages.content AS published_content FROM pages
+    LEFT JOIN published_pages ON published_pages.page_id = pages.id WHERE pages.id=?`;
+  db.get(pageSql, [id], (err, page) => {
+    if (!page) return res.status(404).json({ message: 'Nie znaleziono' });
+    const mediaSql = `SELECT file_path FROM video_frames WHERE page_id=?
+      UNION SELECT file_path FROM gallery WHERE page_id=?
+      UNION SELECT image_path FROM offers WHERE page_id=?`;
+    db.all(mediaSql, [id, id, id], (err2, mediaRows) => {
+      const files = (mediaRows || []).map(r => r.file_path);
+      if (page.published_content) files.push(...contentUploads(JSON.parse(page.published_content)));
+      const tables = ['nav', 'video_frames', 'welcome_header', 'stats', 'offers', 'gallery', 'locations', 'footer', 'price_packages', 'published_pages', 'revisions', 'user_pages', 'page_redirects'];
+      withTransaction(async ({ run }) => {
+        for (const table of tables) await run(`DELETE FROM ${table} WHERE page_id=?`, [id]);
+        await run('DELETE FROM pages WHERE id=?', [id]);
+      }).then(() => {
+        files.forEach(unlinkUnreferencedUpload);
+        scheduleSiteBuild();
+        res.json({ message: 'Strona usunięta' });
+      }, (err3) => {
+        console.error('Error deleting page:', err3);
+        res.status(500).json({ message: 'Błąd usuwania strony' });
+      });
+    });
+  });
+});
+
+// Duplicate a page (content and media) under a new name and slug
+app.post('/api/pages/:id/duplicate', authenticateToken, requireRole('owner'), (req, res) => {
+  const sourceId = parseInt(req.params.id);
+  const name = req.body.name ? String(req.body.name).trim() : '';
+  if (!name) return res.status(400).json({ message: 'Brak nazwy strony' });
+  const slug = req.body.slug ? String(req.body.slug).trim() : slugify(name);
+  const slugError = validateSlug(slug);
+  if (slugError) return res.status(400).json({ message: slugError });
+  db.get('SELECT id FROM pages WHERE id=?', [sourceId], (err, source) => {
+    if (!source) return res.status(404).json({ message: 'Nie znaleziono' });
+    db.get('SELECT id FROM pages WHERE slug=?', [slug], (err2, taken) => {
+      if (taken) return res.status(400).json({ message: 'Slug zajęty' });
+      duplicatePage(sourceId, name, slug)
+        .then(newPageId => res.json({ id: newPageId, name, slug }))
+        .catch(err3 => {
+          console.error('Error duplicating page:', err3);
+          res.status(500).json({ message: 'Błąd kopiowania strony' });
+        });
+    });
+  });
+});
+
+/**
+ * Clone every content table of a page into a new page inside a
+ * transaction (see withTransaction). Uploaded media is shared, and ids
+ * referenced by pricing (offers, locations, packages) are remapped to the
+ * new rows. Resolves with the new page id.
+ */
+function duplicatePage(sourceId, name, slug) {
+  return withTransaction(async ({ run, all }) => {
+    const newPageId = (await run('INSERT INTO pages (name, slug) VALUES (?, ?)', [name, slug])).lastID;
+    await run('INSERT INTO nav (page_id, facebook_url, instagram_url) SELECT ?, facebook_url, instagram_url FROM nav WHERE page_id=?', [newPageId, sourceId]);
+    await run('INSERT INTO welcome_header (page_id, title, subtitle) SELECT ?, title, subtitle FROM welcome_header WHERE page_id=?', [newPageId, sourceId]);
+    await run('INSERT INTO footer (page_id, facebook_url, instagram_url, phone) SELECT ?, facebook_url, instagram_url, phone FROM footer WHERE page_id=?', [newPageId, sourceId]);
+    await run('INSERT INTO stats (page_id, label, value, position) SELECT ?, label, value, position FROM stats WHERE page_id=? ORDER BY id', [newPageId, sourceId]);
+
+    // Media files are shared with the source page, not copied; they stay
+    // on disk while any page references them
+    await run(`INSERT INTO video_frames (page_id, file_path, alt_text, position)
+      SELECT ?, file_path, alt_text, position FROM video_frames WHERE page_id=? ORDER BY id`, [newPageId, sourceId]);
+    await run(`INSERT INTO gallery (page_id, file_path, alt_text, caption, album, variants, position)
+      SELECT ?, file_path, alt_text, caption, album, variants, position FROM gallery WHERE page_id=? ORDER BY id`, [newPageId, sourceId]);
+
+    const offerIds = {};
+    const offers = await all(`SELECT o.*, op.base_price, op.hourly_rate FROM offers o
+      LEFT JOIN offer_prices op ON op.offer_id = o.id WHERE o.page_id=? ORDER BY o.position, o.id`, [sourceId]);
+    for (const offer of offers) {
+      const newId = (await run('INSERT INTO offers (page_id, title, description, image_path, position) VALUES (?, ?, ?, ?, ?)',
+        [newPageId, offer.title, offer.description, offer.image_path, offer.position])).lastID;
+      offerIds[offer.id] = newId;
+      if (offer.base_price !== null) {
+        await run('INSERT INTO offer_prices (offer_id, base_price, hourly_rate) VALUES (?, ?, ?)', [newId, offer.base_price, offer.hourly_rate]);
+      }
+    }
+
+    const locations = await all(`SELECT l.name, l.position, lf.travel_fee FROM locations l
+      LEFT JOIN location_fees lf ON lf.location_id = l.id WHERE l.page_id=? ORDER BY l.id`, [sourceId]);
+    for (const loc of locations) {
+      const newId = (await run('INSERT INTO locations (page_id, name, position) VALUES (?, ?, ?)', [newPageId, loc.name, loc.position])).lastID;
+      if (loc.travel_fee !== null) {
+        await run('INSERT INTO location_fees (location_id, travel_fee) VALUES (?, ?)', [newId, loc.travel_fee]);
+      }
+    }
+
+    for (const pkg of await all('SELECT * FROM price_packages WHERE page_id=? ORDER BY id', [sourceId])) {
+      const newId = (await run('INSERT INTO price_packages (page_id, name, discount_percent) VALUES (?, ?, ?)', [newPageId, pkg.name, pkg.discount_percent])).lastID;
+      for (const link of await all('SELECT offer_id FROM price_package_offers WHERE package_id=?', [pkg.id])) {
+        if (offerIds[link.offer_id]) {
+          await run('INSERT INTO price_package_offers (package_id, offer_id) VALUES (?, ?)', [newId, offerIds[link.offer_id]]);
+        }
+      }
+    }
+
+    return newPageId;
+  });
+}
+
+// Export and import bundles. A bundle is a .tar.gz holding bundle.json
+// (the content of one or more pages) and the referenced files under
+// uploads/. Row ids are not exported; import creates new rows, gives the
+// files new names and picks a free slug where needed.
+const BUNDLE_FORMAT = 'fotobudka-bundle';
+const BUNDLE_VERSION = 1;
+const BUNDLE_MAX_BYTES = 1024 * MB;
+const bundleUpload = multer({ dest: os.tmpdir(), limits: { fileSize: BUNDLE_MAX_BYTES, files: 1 } }).single('bundle');
+
+// Receive the uploaded bundle into the temp folder
+function receiveBundle(req, res, next) {
+  bundleUpload(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Paczka jest za duża (maks. ${BUNDLE_MAX_BYTES / MB} MB)`, errors: [] });
+    }
+    if (err) return res.status(400).json({ message: 'Błąd przesyłania pliku', errors: [] });
+    if (!req.file) return res.status(400).json({ message: 'Brak pliku paczki', errors: [] });
+    next();
+  });
+}
+
+// Draft content of a page in bundle form
+async function exportPageData(page) {
+  const nav = await dbGet('SELECT facebook_url, instagram_url FROM nav WHERE page_id=?', [page.id]);
+  const welcome = await dbGet('SELECT title, subtitle FROM welcome_header WHERE page_id=?', [page.id]);
+  const footer = await dbGet('SELECT facebook_url, instagram_url, phone FROM footer WHERE page_id=?', [page.id]);
+  return {
+    name: page.name,
+    slug: page.slug,
+    nav: nav || {},
+    welcome_header: welcome || {},
+    footer: footer || {},
+    stats: await dbAll('SELECT label, value, position FROM stats WHERE page_id=? ORDER BY position, id', [page.id]),
+    gallery: (await dbAll('SELECT file_path, alt_text, caption, album, variants, position FROM gallery WHERE page_id=? ORDER BY position, id', [page.id]))
+      .map(row => ({ ...row, variants: row.variants ? JSON.parse(row.variants) : [] })),
+    video_frames: await dbAll('SELECT file_path, alt_text, position FROM video_frames WHERE page_id=? ORDER BY position, id', [page.id]),
+    locations: await dbAll('SELECT name, position FROM locations WHERE page_id=? ORDER BY position, id', [page.id])
+  };
+}
+
+// Upload paths a bundle page refers to, image variants included
+function bundlePageFiles(page) {
+  const files = [];
+  page.gallery.forEach(item => {
+    files.push(item.file_path);
+    (item.variants || []).forEach(v => files.push(v.path));
+  });
+  page.video_frames.forEach(frame => files.push(frame.file_path));
+  return files.filter(file => typeof file === 'string' && file.startsWith('/uploads/'));
+}
+
+// Uploaded originals a bundle page refers to. Import runs them through the
+// image pipeline again, so the bundle's variants are not used.
+function bundlePageOriginals(page) {
+  return [...page.gallery, ...page.video_frames]
+    .map(row => row.file_path)
+    .filter(file => typeof file === 'string' && file.startsWith('/uploads/'));
+}
+
+// Stream a bundle of the given pages rows as the response
+async function sendBundle(res, pages, fileName) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'bundle-'));
+  try {
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exported_at: new Date().toISOString(),
+      pages: []
+    };
+    for (const page of pages) manifest.pages.push(await exportPageData(page));
+    await fs.promises.writeFile(path.join(dir, 'bundle.json'), JSON.stringify(manifest, null, 2));
+    // The files are linked rather than copied; tar follows the links
+    await fs.promises.mkdir(path.join(dir, 'uploads'));
+    const files = new Set(manifest.pages.flatMap(bundlePageFiles));
+    for (const file of files) {
+      if (fs.existsSync(path.join(__dirname, file))) {
+        await fs.promises.symlink(path.join(__dirname, file), path.join(dir, file));
+      }
+    }
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    const stream = tar.c({ gzip: true, cwd: dir, follow: true, portable: true }, ['bundle.json', 'uploads']);
+    stream.pipe(res);
+    await new Promise((resolve, reject) => {
+      stream.on('end', resolve);
+      stream.on('error', reject);
+    });
+  } finally {
+    fs.rm(dir, { recursive: true, force: true }, () => {});
+  }
+}
+
+app.get('/api/pages/:id/export', authenticateToken, requirePageAccess(pageFromParam), async (req, res) => {
+  const page = await dbGet('SELECT * FROM pages WHERE id=?', [parseInt(req.params.id)]);
+  if (!page) return res.status(404).json({ message: 'Nie znaleziono' });
+  await sendBundle(res, [page], `${page.slug}-${new Date().toISOString().slice(0, 10)}.tar.gz`);
+});
+app.get('/api/export', authenticateToken, requireRole('owner'), async (req, res) => {
+  const pages = await dbAll('SELECT * FROM pages ORDER BY id');
+  await sendBundle(res, pages, `witryna-${new Date().toISOString().slice(0, 10)}.tar.gz`);
+});
+
+/**
+ * Check a bundle manifest and its extracted files before anything is
+ * written. Returns a list of problems; empty when the bundle can be
+ * imported.
+ */
+async function validateBundle(manifest, dir) {
+  const errors = [];
+  if (!manifest || manifest.format !== BUNDLE_FORMAT) return ['To nie jest paczka eksportu strony'];
+  if (manifest.version !== BUNDLE_VERSION) return [`Nieobsługiwana wersja paczki: ${manifest.version}`];
+  if (!Array.isArray(manifest.pages) || manifest.pages.length === 0) return ['Paczka nie zawiera stron'];
+  const isText = value => value === null || value === undefined || typeof value === 'string';
+  const checkRows = (label, rows, fields) => {
+    if (!Array.isArray(rows)) return errors.push(`${label}: brak listy`);
+    rows.forEach((row, idx) => {
+      if (!row || typeof row !== 'object' || fields.some(field => !isText(row[field]))) {
+        errors.push(`${label} #${idx + 1}: nieprawidłowe dane`);
+      } else if (fields.includes('file_path') && !row.file_path) {
+        errors.push(`${label} #${idx + 1}: brak pliku`);
+      }
+    });
+  };
+  const files = new Set();
+  manifest.pages.forEach((page, idx) => {
+    const label = `Strona ${idx + 1}`;
+    if (!page || typeof page.name !== 'string' || !page.name.trim()) return errors.push(`${label}: brak nazwy`);
+    const slugError = typeof page.slug === 'string' ? validateSlug(page.slug) : 'Brak sluga';
+    if (slugError) errors.push(`${label}: ${slugError}`);
+    ['nav', 'welcome_header', 'footer'].forEach(section => {
+      if (!page[section] || typeof page[section] !== 'object' || Object.values(page[section]).some(value => !isText(value))) {
+        errors.push(`${label}: nieprawidłowa sekcja ${section}`);
+      }
+    });
+    checkRows(`${label}, statystyki`, page.stats, ['label', 'value']);
+    checkRows(`${label}, galeria`, page.gallery, ['file_path', 'alt_text', 'caption', 'album']);
+    checkRows(`${label}, ramki wideo`, page.video_frames, ['file_path', 'alt_text']);
+    checkRows(`${label}, lokalizacje`, page.locations, ['name']);
+    if (errors.length) return;
+    bundlePageOriginals(page).forEach(file => files.add(file));
+  });
+  if (errors.length) return errors;
+  // Every referenced file has to be in the bundle and pass the same
+  // content checks as a direct upload
+  for (const file of files) {
+    if (!/^\/uploads\/[^/\\]+$/.test(file)) {
+      errors.push(`Nieprawidłowa ścieżka pliku: ${file}`);
+      continue;
+    }
+    const filePath = path.join(dir, file);
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (err) {
+      errors.push(`Brak pliku w paczce: ${file}`);
+      continue;
+    }
+    const result = await sniffUpload({ path: filePath, size: stat.size }, ['image', 'video']);
+    if (result.error) {
+      errors.push(`${file}: ${result.error}`);
+    } else if (result.type.kind === 'image' && !await sharp(filePath).metadata().catch(() => null)) {
+      errors.push(`${file}: Nieprawidłowy plik graficzny`);
+    }
+  }
+  return errors;
+}
+
+// First free slug: the given one, or with -2, -3, ... appended
+async function freeSlug(slug, get = dbGet) {
+  let candidate = slug;
+  for (let n = 2; await get('SELECT id FROM pages WHERE slug=?', [candidate]) || RESERVED_SLUGS.includes(candidate); n++) {
+    candidate = `${slug}-${n}`;
+  }
+  return candidate;
+}
+
+// Replace a page's imported sections with the bundle content, through the
+// import's transaction `tx`. `imported` maps the bundle's upload paths to
+// the stored files. Travel fees stay with locations of the same name.
+async function writeBundlePage(tx, pageId, page, imported) {
+  const fees = await tx.all('SELECT l.name, lf.travel_fee FROM locations l JOIN location_fees lf ON lf.location_id = l.id WHERE l.page_id=?', [pageId]);
+  for (const table of ['nav', 'welcome_header', 'footer', 'stats', 'gallery', 'video_frames', 'locations']) {
+    await tx.run(`DELETE FROM ${table} WHERE page_id=?`, [pageId]);
+  }
+  const text = value => value == null ? '' : value;
+  await tx.run('INSERT INTO nav (page_id, facebook_url, instagram_url) VALUES (?, ?, ?)', [pageId, text(page.nav.facebook_url), text(page.nav.instagram_url)]);
+  await tx.run('INSERT INTO welcome_header (page_id, title, subtitle) VALUES (?, ?, ?)', [pageId, text(page.welcome_header.title), text(page.welcome_header.subtitle)]);
+  await tx.run('INSERT INTO footer (page_id, facebook_url, instagram_url, phone) VALUES (?, ?, ?, ?)', [pageId, text(page.footer.facebook_url), text(page.footer.instagram_url), text(page.footer.phone)]);
+  for (const [idx, stat] of page.stats.entries()) {
+    await tx.run('INSERT INTO stats (page_id, label, value, position) VALUES (?, ?, ?, ?)', [pageId, stat.label, stat.value, idx]);
+  }
+  for (const [idx, item] of page.gallery.entries()) {
+    const file = imported.get(item.file_path);
+    await tx.run('INSERT INTO gallery (page_id, file_path, alt_text, caption, album, variants, position) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [pageId, file ? file.file_path : item.file_path, text(item.alt_text), item.caption || null, normalizeAlbum(item.album),
+        JSON.stringify(file ? file.variants : []), idx]);
+  }
+  for (const [idx, frame] of page.video_frames.entries()) {
+    const file = imported.get(frame.file_path);
+    await tx.run('INSERT INTO video_frames (page_id, file_path, alt_text, position) VALUES (?, ?, ?, ?)',
+      [pageId, file ? file.file_path : frame.file_path, text(frame.alt_text), idx]);
+  }
+  for (const [idx, loc] of page.locations.entries()) {
+    const newId = (await tx.run('INSERT INTO locations (page_id, name, position) VALUES (?, ?, ?)', [pageId, loc.name, idx])).lastID;
+    const fee = fees.find(f => f.name === loc.name);
+    if (fee) await tx.run('INSERT INTO location_fees (location_id, travel_fee) VALUES (?, ?)', [newId, fee.travel_fee]);
+  }
+}
+
+/**
+ * Import a validated bundle. In 'create' mode every page becomes a new
+ * page; in 'overwrite' mode a single page replaces `targetPageId`, and the
+ * pages of a multi-page bundle replace the pages with the same slug (or are
+ * created when there is none). Resolves to [{ id, name, slug, action }].
+ */
+async function importBundle(manifest, dir, mode, targetPageId) {
+  // Store the files under new names first. Photos go through the image
+  // pipeline like direct uploads, which also makes their variants anew.
+  const imported = new Map();
+  const created = [];
+  const mediaRows = [];
+  const originals = new Set(manifest.pages.flatMap(bundlePageOriginals));
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  const results = [];
+  const replacedFiles = [];
+  try {
+    for (const file of originals) {
+      const source = path.join(dir, file);
+      const stat = await fs.promises.stat(source);
+      const { type } = await sniffUpload({ path: source, size: stat.size }, ['image', 'video']);
+      const filename = uniqueUploadName(type.ext);
+      await fs.promises.copyFile(source, path.join(UPLOAD_DIR, filename));
+      created.push('/uploads/' + filename);
+      let row = { file_path: '/uploads/' + filename, variants: [], width: null, height: null, mime: type.mime };
+      if (type.kind === 'image') {
+        row = await processMediaImage({ path: path.join(UPLOAD_DIR, filename), filename });
+        created.push(row.file_path, ...row.variants.map(v => v.path));
+      }
+      const { size } = await fs.promises.stat(path.join(__dirname, row.file_path));
+      imported.set(file, row);
+      mediaRows.push({ ...row, original_name: path.basename(file), kind: type.kind, size });
+    }
+
+    await withTransaction(async (tx) => {
+      for (const page of manifest.pages) {
+        let pageId = null;
+        if (mode === 'overwrite') {
+          const existing = manifest.pages.length === 1
+            ? await tx.get('SELECT * FROM pages WHERE id=?', [targetPageId])
+            : await tx.get('SELECT * FROM pages WHERE slug=?', [page.slug]);
+          if (existing) {
+            pageId = existing.id;
+            replacedFiles.push(...await pageUploads(pageId, tx.all));
+            await writeBundlePage(tx, pageId, page, imported);
+            results.push({ id: pageId, name: existing.name, slug: existing.slug, action: 'overwritten' });
+            continue;
+          }
+        }
+        const slug = await freeSlug(page.slug, tx.get);
+        pageId = (await tx.run('INSERT INTO pages (name, slug) VALUES (?, ?)', [page.name.trim(), slug])).lastID;
+        await writeBundlePage(tx, pageId, page, imported);
+        // New pages get the default offer cards and prices, like pages added by hand
+        await tx.run('INSERT INTO offers (page_id, title, description, image_path, position) SELECT ?, title, description, image_path, position FROM offers WHERE page_id=?', [pageId, 1]);
+        await tx.run(`INSERT INTO offer_prices (offer_id, base_price, hourly_rate)
+          SELECT n.id, op.base_price, op.hourly_rate FROM offers n
+          JOIN offers o ON o.page_id=? AND o.title=n.title AND o.position=n.position
+          JOIN offer_prices op ON op.offer_id=o.id
+          WHERE n.page_id=?`, [1, pageId]);
+        results.push({ id: pageId, name: page.name.trim(), slug, action: 'created' });
+      }
+      for (const row of mediaRows) {
+        await tx.run(`INSERT INTO media (file_path, original_name, kind, mime, size, width, height, variants)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [row.file_path, row.original_name, row.kind, row.mime, row.size, row.width, row.height, row.kind === 'image' ? JSON.stringify(row.variants) : null]);
+      }
+    });
+  } catch (err) {
+    created.forEach(file => fs.unlink(path.join(__dirname, file), () => {}));
+    throw err;
+  }
+  // Overwritten pages keep their published version until published again
+  replacedFiles.forEach(unlinkUnreferencedUpload);
+  return results;
+}
+
+app.post('/api/import', authenticateToken, receiveBundle, async (req, res) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'import-'));
+  try {
+    const mode = req.body.mode === 'overwrite' ? 'overwrite' : 'create';
+    try {
+      // Only bundle.json and plain files directly in uploads/ are extracted
+      await tar.x({
+        file: req.file.path,
+        cwd: dir,
+        strict: true,
+        filter: (entryPath, entry) => entry.type === 'File' && (entryPath === 'bundle.json' || /^uploads\/[^/]+$/.test(entryPath))
+      });
+    } catch (err) {
+      return res.status(400).json({ message: 'Nie można odczytać paczki', errors: [] });
+    }
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.promises.readFile(path.join(dir, 'bundle.json'), 'utf8'));
+    } catch (err) {
+      return res.status(400).json({ message: 'Paczka nie zawiera poprawnego pliku bundle.json', errors: [] });
+    }
+    const errors = await validateBundle(manifest, dir);
+    if (errors.length) return res.status(400).json({ message: 'Paczka jest nieprawidłowa', errors });
+
+    // Overwriting one chosen page needs access to it; anything that may
+    // create pages is for owners only
+    const targetPageId = parseInt(req.body.target_page_id);
+    if (mode === 'overwrite' && manifest.pages.length === 1) {
+      if (!targetPageId || !await dbGet('SELECT id FROM pages WHERE id=?', [targetPageId])) {
+        return res.status(400).json({ message: 'Wybierz stronę do nadpisania' });
+      }
+      const allowed = await new Promise(resolve => canAccessPage(req.user, targetPageId, resolve));
+      if (!allowed) return res.status(403).json({ message: 'Brak dostępu do tej strony' });
+    } else if (req.user.role !== 'owner') {
+      return res.status(403).json({ message: 'Brak uprawnień' });
+    }
+    // Imported files go into the library, so they count against its quota
+    let incoming = 0;
+    for (const file of new Set(manifest.pages.flatMap(bundlePageOriginals))) {
+      incoming += (await fs.promises.stat(path.join(dir, file))).size;
+    }
+    if (await LIBRARY_QUOTA.usage(req) + incoming > LIBRARY_QUOTA.limit) {
+      return res.status(413).json({ message: LIBRARY_QUOTA.message, errors: [] });
+    }
+    const pages = await importBundle(manifest, dir, mode, targetPageId);
+    res.json({ message: 'Zaimportowano', pages });
+  } catch (err) {
+    console.error('Error importing bundle:', err);
+    res.status(500).json({ message: 'Błąd importu' });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+    fs.rm(dir, { recursive: true, force: true }, () => {});
+  }
+});
+
+// The public site is built from the published pages by siteBuilder.js.
+// Changes that affect it (publishing, renaming or deleting a page, a
+// restore) ask for a rebuild; requests within SITE_BUILD_DELAY_MS are
+// handled by one build, and a request during a build runs another after it.
+// These automatic builds keep files edited by hand; only POST
+// /api/site/build with { force: true } replaces them.
+const SITE_BUILD_DELAY_MS = 2000;
+let siteBuild = { timer: null, running: false, pending: false, last: null, error: null };
+
+function scheduleSiteBuild() {
+  clearTimeout(siteBuild.timer);
+  siteBuild.timer = setTimeout(() => runSiteBuild(), SITE_BUILD_DELAY_MS);
+}
+
+async function runSiteBuild(force = false) {
+  clearTimeout(siteBuild.timer);
+  if (siteBuild.running) {
+    siteBuild.pending = true;
+    return siteBuild.last;
+  }
+  siteBuild.running = true;
+  try {
+    siteBuild.last = await buildSite(db, SITE_DIR, { keepEdited: !force });
+    siteBuild.error = null;
+    siteBuild.last.kept.forEach(({ file }) => console.warn(`Site build kept ${file}, which had been edited by hand; build with force to replace it`));
+    siteBuild.last.edited.forEach(file => console.warn(`Site build replaced ${file}, which had been edited by hand`));
+    const changed = siteBuild.last.changes.filter(change => change.status !== 'unchanged').length;
+    console.log(`Site built: ${siteBuild.last.pages.length} page(s), ${changed} file(s) changed, in ${siteBuild.last.output}`);
+  } catch (err) {
+    siteBuild.error = err.message;
+    console.error('Site build failed:', err);
+  } finally {
+    siteBuild.running = false;
+    if (siteBuild.pending) {
+      siteBuild.pending = false;
+      scheduleSiteBuild();
+    }
+  }
+  return siteBuild.last;
+}
+
+// On startup the built site is compared with what the current template and
+// published pages give, so a changed index.html reaches every built page
+async function checkSite() {
+  try {
+    const plan = await planSite(db);
+    plan.edited.forEach(file => console.warn(`${file} in the built site was edited by hand; automatic builds keep it`));
+    // Edited files stay as they are, so they alone need no build
+    const pending = plan.changes.some(change => change.status !== 'unchanged' && !plan.edited.includes(change.file));
+    if (plan.built_at && !pending) return console.log('Built site is up to date');
+    if (plan.built_at && plan.template_changed) console.log('index.html changed since the last site build');
+    await runSiteBuild();
+  } catch (err) {
+    console.error('Site check failed:', err);
+  }
+}
+
+// State of the built site: the files a build would change (with the lines
+// added and removed) and the files edited by hand
+app.get('/api/site', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const plan = await planSite(db);
+    res.json({
+      output: SITE_DIR,
+      running: siteBuild.running,
+      error: siteBuild.error,
+      built_at: plan.built_at,
+      template_changed: plan.template_changed,
+      outdated: planChanges(plan),
+      changes: plan.changes,
+      edited: plan.edited
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Błąd odczytu witryny', error: err.message });
+  }
+});
+
+// Build now. Files edited by hand are only replaced with { force: true }.
+app.post('/api/site/build', authenticateToken, requireRole('owner'), async (req, res) => {
+  if (siteBuild.running) return res.status(409).json({ message: 'Witryna jest właśnie budowana' });
+  if (!(req.body || {}).force) {
+    const plan = await planSite(db).catch(() => null);
+    if (plan && plan.edited.length) {
+      return res.status(409).json({ message: 'Pliki witryny zostały zmienione ręcznie', edited: plan.edited });
+    }
+  }
+  const last = await runSiteBuild(true);
+  if (siteBuild.error) return res.status(500).json({ message: 'Błąd budowania witryny', error: siteBuild.error });
+  res.json(last);
+});
+
+/**
+ * Create the missing responsive variants for gallery photos uploaded before
+ * the image pipeline existed. The originals are left untouched; they are
+ * referenced by revisions and published snapshots under their current path.
+ */
+async function backfillImageVariants() {
+  const rows = await dbAll("SELECT id, file_path FROM gallery WHERE variants IS NULL AND file_path LIKE '/uploads/%'");
+  for (const row of rows) {
+    try {
+      const variants = await createImageVariants(row.file_path);
+      await dbRun('UPDATE gallery SET variants=? WHERE id=?', [JSON.stringify(variants), row.id]);
+    } catch (err) {
+      console.error(`Could not create image variants for ${row.file_path}:`, err.message);
+    }
+  }
+}
+
 /**
- * Generate a static HTML page for a new slug.
- * This function creates a folder under ../frontend/<slug>/ and writes
- * <slug>.html inside it. The page is based on the main index.html
- * but includes a script that sets window.PAGE_ID to the given pageId.
- * When loaded, the page will fetch its own content via dataLoader.js.
+ * Add uploads placed on pages before the media library existed to the
+ * library, so they can be browsed and reused like new ones.
  */
-function generateStaticPage(pageId, slug, name) {
+async function backfillMediaLibrary() {
+  const rows = await dbAll(`SELECT file_path, MIN(alt_text) AS name, MAX(variants) AS variants, 'image' AS kind FROM gallery
+      WHERE file_path LIKE '/uploads/%' AND file_path NOT IN (SELECT file_path FROM media) GROUP BY file_path
+    UNION SELECT file_path, MIN(alt_text), NULL, NULL FROM video_frames
+      WHERE file_path LIKE '/uploads/%' AND file_path NOT IN (SELECT file_path FROM media) GROUP BY file_path`);
+  for (const row of rows) {
+    try {
+      const { size } = await fs.promises.stat(path.join(__dirname, row.file_path));
+      const type = UPLOAD_TYPES.find(t => t.ext === path.extname(row.file_path).toLowerCase());
+      const kind = row.kind || (type ? type.kind : 'image');
+      const meta = kind === 'image' ? await sharp(path.join(__dirname, row.file_path)).metadata() : {};
+      await dbRun(`INSERT OR IGNORE INTO media (file_path, original_name, kind, mime, size, width, height, variants)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [row.file_path, row.name || path.basename(row.file_path), kind, type ? type.mime : null, size, meta.width || null, meta.height || null, row.variants]);
+    } catch (err) {
+      console.error(`Could not add ${row.file_path} to the media library:`, err.message);
+    }
+  }
+}
+
+// Public pages. GET / and GET /<slug> render the frontend's index.html with
+// the page's published content written into it (see siteBuilder.js), so a
+// change to the template reaches every page on its next request. A valid
+// ?preview=<token> from /api/pages/:id/preview renders the draft instead.
+
+// The template, read again whenever the file changes
+let pageTemplate = { mtimeMs: 0, html: null };
+async function loadTemplate() {
+  const { mtimeMs } = await fs.promises.stat(TEMPLATE_PATH);
+  if (mtimeMs !== pageTemplate.mtimeMs) {
+    pageTemplate = { mtimeMs, html: await fs.promises.readFile(TEMPLATE_PATH, 'utf8') };
+  }
+  return pageTemplate.html;
+}
+
+// Page id a preview token was issued for, or null
+function previewPageId(token) {
   try {
-    // Determine template and output locations
-    const frontendRoot = path.join(__dirname, '..', 'frontend');
-    const templatePath = path.join(frontendRoot, 'index.html');
-    const slugDir = path.join(frontendRoot, slug);
-    const slugFile = path.join(slugDir, `${slug}.html`);
-    fs.mkdirSync(slugDir, { recursive: true });
-    // Read template
-    let template = fs.readFileSync(templatePath, 'utf-8');
-    // Remove any existing PAGE_ID definition from the template
-    template = template.replace(/<script>\s*window\.PAGE_ID\s*=\s*[^<]*<\/script>\s*/g, '');
-    // Build injection script defining PAGE_ID for this page
-    const injection = `<script>window.PAGE_ID = ${pageId};</script>`;
-    // Inject PAGE_ID before closing head
-    template = template.replace(/<\/head>/i, `${injection}\n</head>`);
-    // Ensure dataLoader.js is referenced if not already. Use a relative
-    // path so the script loads correctly on nested routes. When generating
-    // slug pages we must convert root-relative asset paths (e.g.
-    // "/style/style.css") to relative paths (e.g. "../style/style.css") so
-    // they resolve when the HTML is served from a subfolder. We only
-    // perform this replacement for the slug pages; the original index
-    // remains unchanged.
-    // Convert root-relative CSS, JS, images and other assets to
-    // relative paths one level up.
-    template = template
-      .replace(/href="\/style\//g, 'href="../style/')
-      .replace(/src="\/script\.js/g, 'src="../script.js')
-      .replace(/src="\/js\/dataLoader\.js/g, 'src="../js/dataLoader.js')
-      .replace(/href="\/images\//g, 'href="../images/')
-      .replace(/src="\/images\//g, 'src="../images/')
-      .replace(/href="\/videos\//g, 'href="../videos/')
-      .replace(/src="\/videos\//g, 'src="../videos/')
-      .replace(/href="\/fonts\//g, 'href="../fonts/')
-      .replace(/src="\/fonts\//g, 'src="../fonts/');
-
-    // Ensure dataLoader.js is referenced if not already.
-    if (!template.includes('dataLoader.js')) {
-      template = template.replace(/<\/body>/i, `<script src="../js/dataLoader.js"></script>\n</body>`);
-    }
-    // Write slug page
-    fs.writeFileSync(slugFile, template, 'utf-8');
-    console.log(`Created static page for slug ${slug} at ${slugFile}`);
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.purpose === 'preview' ? payload.page_id : null;
   } catch (err) {
-    console.error('Error generating static page:', err);
+    return null;
+  }
+}
+
+function sendNotFound(res) {
+  res.status(404).sendFile(path.join(FRONTEND_DIR, '404.html'));
+}
+
+// Permanent redirect that keeps the query string (e.g. a preview token)
+function redirectTo(req, res, target) {
+  res.redirect(301, target + req.originalUrl.slice(req.path.length));
+}
+
+async function sendPage(req, res, page) {
+  let content;
+  if (req.query.preview && previewPageId(String(req.query.preview)) === page.id) {
+    content = await new Promise(resolve => loadPageContent(page.id, resolve));
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+  } else {
+    const published = await dbGet('SELECT content FROM published_pages WHERE page_id=?', [page.id]);
+    if (!published) return sendNotFound(res);
+    content = JSON.parse(published.content);
+  }
+  // Same origin, so the page's scripts call the API at /api
+  res.type('html').send(renderPage(await loadTemplate(), page, content, '/', ''));
+}
+
+app.get('/', async (req, res) => {
+  const home = await dbGet('SELECT id, name, slug FROM pages WHERE id=1');
+  if (!home) return sendNotFound(res);
+  sendPage(req, res, home);
+});
+app.get('/index.html', (req, res) => redirectTo(req, res, '/'));
+
+// Addresses of the frontend/<slug>/<slug>.html files pages used to be
+// written to, and of the built site's <slug>/index.html
+app.get('/:slug/:file', (req, res, next) => {
+  const { slug, file } = req.params;
+  if (file !== `${slug}.html` && file !== 'index.html') return next();
+  redirectTo(req, res, `/${slug}`);
+});
+
+app.get('/:slug', async (req, res) => {
+  const page = await dbGet('SELECT id, name, slug FROM pages WHERE slug=?', [req.params.slug]);
+  if (page) return page.id === 1 ? redirectTo(req, res, '/') : sendPage(req, res, page);
+  const renamed = await dbGet(`SELECT pages.id, pages.slug FROM page_redirects
+    JOIN pages ON pages.id = page_redirects.page_id WHERE page_redirects.slug=?`, [req.params.slug]);
+  if (renamed) return redirectTo(req, res, renamed.id === 1 ? '/' : `/${renamed.slug}`);
+  sendNotFound(res);
+});
+
+// Any other page address
+app.use((req, res, next) => {
+  if (req.method !== 'GET' || req.path.startsWith('/api/')) return next();
+  sendNotFound(res);
+});
+
+// Startup clean-up once the schema is current
+async function prepareDatabase() {
+  await dbRun("DELETE FROM sessions WHERE expires_at < datetime('now')");
+  // A new database, or one from before drafts existed, publishes its
+  // current content once, so visitors see it
+  if ((await dbGet('SELECT COUNT(*) AS count FROM published_pages')).count === 0) {
+    for (const page of await dbAll('SELECT id FROM pages')) {
+      await new Promise(resolve => publishPage(page.id, resolve));
+    }
   }
 }
 
-app.listen(PORT, () => {
+migrate(db).then(prepareDatabase).then(() => app.listen(PORT, () => {
   console.log(`Backend server running at http://localhost:${PORT}`);
+  backfillImageVariants().then(backfillMediaLibrary);
+  setInterval(runUploadMaintenance, MAINTENANCE_INTERVAL_HOURS * 60 * 60 * 1000);
+  runScheduledBackups();
+  setInterval(runScheduledBackups, BACKUP_CHECK_INTERVAL_MINUTES * 60 * 1000);
+  checkSite();
+})).catch(err => {
+  // Also refuses to start against a database migrated by newer code
+  console.error(err.message);
+  process.exit(1);
 });
\ No newline at end of file
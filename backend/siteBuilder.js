@@ -0,0 +1,353 @@
+/*
+ * Static site builder
+ *
+ * Renders every published page into final HTML: the frontend's index.html
+ * is the template and the sections dataLoader.js would otherwise fill in
+ * after loading (nav links, welcome header, video frames, offers, stats,
+ * gallery, locations, footer and the inquiry form's attractions) are
+ * written into the markup. The output folder holds the home page as
+ * index.html, every other page as <slug>/index.html, the static assets and
+ * the uploads the pages use, with all URLs relative so it can be deployed
+ * to any static host, also under a sub-path.
+ *
+ * Each page also carries its content as JSON, which dataLoader.js uses
+ * instead of calling /api/home, so the pages work with the backend down;
+ * only the inquiry form and the quote calculator still need the API
+ * (PUBLIC_API_URL, default http://localhost:4000).
+ *
+ * build.json records the template's content hash and the hash of every
+ * page file written. The server rebuilds after publishing and, on startup,
+ * whenever the output differs from what the current template and the
+ * published pages give. Page files that no longer match their recorded
+ * hash were edited by hand; the server's automatic builds keep them as
+ * they are and report them, and only a build asked for explicitly (the
+ * admin panel with confirmation, or this script) replaces them.
+ * `node siteBuilder.js` builds from db.sqlite by hand.
+ */
+const cheerio = require('cheerio');
+const sqlite3 = require('sqlite3');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FRONTEND_DIR = path.join(__dirname, '..', 'frontend');
+const TEMPLATE_PATH = path.join(FRONTEND_DIR, 'index.html');
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const SITE_DIR = process.env.SITE_DIR || path.join(FRONTEND_DIR, 'dist');
+const PUBLIC_API_URL = process.env.PUBLIC_API_URL || null;
+// Frontend files the pages load, copied as they are
+const STATIC_ASSETS = ['style', 'images', 'videos', 'fonts', 'script.js', 'js/dataLoader.js', '404.html'];
+// Same as GALLERY_SLIDE_SIZES in dataLoader.js
+const GALLERY_SLIDE_SIZES = '(max-width: 768px) 400px, 600px';
+
+// URLs in the template that point at the frontend's own files
+function isLocalUrl(url) {
+  return !/^(#|[a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+}
+
+// Upload paths used by a page's content, image variants included
+function contentFiles(content) {
+  const files = [
+    ...(content.video_frames || []).map(frame => frame.file_path),
+    ...(content.offers || []).map(offer => offer.image_path)
+  ];
+  (content.gallery || []).forEach(item => {
+    files.push(item.file_path);
+    (item.variants || []).forEach(v => files.push(v.path));
+  });
+  return files.filter(file => file && file.startsWith('/uploads/'));
+}
+
+/**
+ * HTML of one page. `root` is the path from the page to the site root (''
+ * for the home page, '../' for <slug>/index.html, '/' when the server
+ * renders it). `apiUrl` is where the page's scripts reach the backend; null
+ * leaves dataLoader.js's default.
+ */
+function renderPage(template, page, content, root, apiUrl = PUBLIC_API_URL) {
+  const $ = cheerio.load(template);
+  // Root-relative and relative paths both mean the site root here
+  const siteUrl = url => root + url.replace(/^\//, '');
+  const assetUrl = filePath => (filePath && filePath.startsWith('/') ? siteUrl(filePath) : filePath || '');
+
+  ['src', 'href', 'data-src'].forEach(attr => {
+    $(`[${attr}]`).each((i, el) => {
+      const url = $(el).attr(attr);
+      if (isLocalUrl(url)) $(el).attr(attr, siteUrl(url));
+    });
+  });
+  if (page.id !== 1) $('title').text(`${page.name} - OG Events`);
+
+  // Navigation and footer links
+  const nav = content.nav || {};
+  if (nav.facebook_url) $('.social-icon.facebook').attr('href', nav.facebook_url);
+  if (nav.instagram_url) $('.social-icon.instagram').attr('href', nav.instagram_url);
+  const footer = content.footer || {};
+  const contactLinks = $('.contact-info .contact-item').map((i, el) => $(el).find('a').first()).get();
+  if (contactLinks[0] && footer.facebook_url) contactLinks[0].attr('href', footer.facebook_url);
+  if (contactLinks[1] && footer.instagram_url) contactLinks[1].attr('href', footer.instagram_url);
+  if (contactLinks[2] && footer.phone) contactLinks[2].attr('href', `tel:${footer.phone}`).text(footer.phone);
+
+  // Welcome header: only the span changes, "Witamy w" stays
+  const welcome = content.welcome_header || {};
+  if (typeof welcome.title === 'string') $('.welcome-header h2 span').text(welcome.title);
+  if (typeof welcome.subtitle === 'string') $('.welcome-header p').text(welcome.subtitle);
+
+  // Video frames cycle through the template's four frames
+  const frames = content.video_frames || [];
+  if (frames.length) {
+    $('.photo-gallery .photo-frame video').each((i, el) => {
+      $(el).attr('src', assetUrl(frames[i % frames.length].file_path));
+    });
+  }
+
+  // Offer cards, three per row with an incomplete last row centred
+  const offers = content.offers || [];
+  if (offers.length) {
+    const row = $('.offers-section .row').first().empty();
+    const lastRowStart = offers.length - (offers.length % 3 || 3);
+    const lastRowCount = offers.length - lastRowStart;
+    offers.forEach((offer, index) => {
+      const col = $('<div class="col-lg-4 col-md-6"></div>');
+      if (index === lastRowStart && lastRowCount < 3) col.addClass(lastRowCount === 2 ? 'offset-lg-2' : 'offset-lg-4');
+      const background = $('<div class="card-background"></div>');
+      if (offer.image_path) background.attr('style', `background-image: url("${assetUrl(offer.image_path)}")`);
+      const card = $('<div class="offer-card h-100"></div>').append(
+        background,
+        '<div class="card-overlay"></div>',
+        $('<div class="card-content"></div>').append($('<h4></h4>').text(offer.title), $('<p></p>').text(offer.description || '')),
+        $('<div class="card-title-overlay"></div>').append($('<h4></h4>').text(offer.title))
+      );
+      row.append(col.append(card));
+    });
+    // The inquiry form lists the page's offers
+    const attractions = $('.inquiry-form .inquiry-attractions').empty();
+    offers.forEach(offer => {
+      const checkbox = $('<input type="checkbox" name="attractions" />').attr('value', offer.title);
+      attractions.append($('<label></label>').append(checkbox, ' ' + $('<i></i>').text(offer.title).html()));
+    });
+  }
+
+  // Stats with their final values; script.js animates them from 0
+  if (content.stats) {
+    const row = $('.stats-section .row').first().empty();
+    content.stats.forEach(stat => {
+      row.append($('<div class="col-lg-3 col-md-4 col-sm-6"></div>').append(
+        $('<div class="stat-card text-center p-4" style="background: #801039; color: white; border-radius: 15px; box-shadow: 0 8px 25px rgba(139, 75, 122, 0.3); transition: transform 0.3s ease"></div>').append(
+          $('<div class="stat-number" style="font-size: 48px; font-weight: bold; margin-bottom: 10px"></div>').attr('data-final-value', stat.value).text(stat.value),
+          $('<div class="stat-label" style="font-size: 16px; font-weight: 500"></div>').text(stat.label)
+        )
+      ));
+    });
+  }
+
+  // Gallery slides; dataLoader.js picks AVIF where supported and adds the
+  // album filters
+  const gallery = content.gallery || [];
+  if (gallery.length) {
+    $('.image-carousel .image-slide img').each((i, el) => {
+      const item = gallery[i % gallery.length];
+      const srcset = (item.variants || [])
+        .filter(v => v.format === 'webp')
+        .map(v => `${assetUrl(v.path)} ${v.width}w`)
+        .join(', ');
+      $(el).attr({ 'data-src': assetUrl(item.file_path), 'data-srcset': srcset || null, sizes: GALLERY_SLIDE_SIZES, alt: item.alt_text || 'Gallery image' });
+    });
+  }
+
+  // Locations split into the overlay's two columns
+  const locations = content.locations || [];
+  const columns = $('.locations-overlay .cities-column ul.cities-list');
+  if (locations.length && columns.length >= 2) {
+    const half = Math.ceil(locations.length / 2);
+    [locations.slice(0, half), locations.slice(half)].forEach((list, idx) => {
+      const ul = columns.eq(idx).empty();
+      list.forEach(loc => ul.append($('<li></li>').append($('<a href="#"></a>').text(loc.name))));
+    });
+  }
+
+  // Page settings for the scripts, replacing the template's PAGE_ID
+  $('script:not([src])').filter((i, el) => /^\s*window\.PAGE_ID\s*=/.test($(el).html())).remove();
+  const settings = { PAGE_ID: page.id, SITE_ROOT: root };
+  if (apiUrl !== null) settings.BACKEND_BASE = apiUrl;
+  $('head').append(`<script>${Object.entries(settings).map(([key, value]) => `window.${key} = ${JSON.stringify(value)};`).join(' ')}</script>\n`);
+  // `<` is escaped so the content cannot close the script element
+  const json = JSON.stringify(content).replace(/</g, '\\u003c');
+  const loader = $('script[src$="js/dataLoader.js"]');
+  const data = `<script type="application/json" id="page-content">${json}</script>\n`;
+  if (loader.length) loader.before(data);
+  else $('body').append(data, `<script src="${root}js/dataLoader.js"></script>\n`);
+  return $.html();
+}
+
+// Copy a file or folder; missing sources are skipped
+async function copyAsset(from, to) {
+  if (!fs.existsSync(from)) return;
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  await fs.promises.cp(from, to, { recursive: true });
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Lines added and removed between two versions of a file, ignoring lines
+// that only moved
+function lineChanges(before, after) {
+  const counts = new Map();
+  before.split('\n').forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+  let added = 0;
+  after.split('\n').forEach(line => {
+    const left = counts.get(line);
+    if (left) counts.set(line, left - 1);
+    else added++;
+  });
+  const removed = [...counts.values()].reduce((sum, left) => sum + left, 0);
+  return { added, removed };
+}
+
+// build.json of the build in outDir, or null
+async function readBuildInfo(outDir) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(outDir, 'build.json'), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Files a build wrote, with the hash recorded for them: the page files and
+// the hand-edited ones it kept
+function recordedFiles(info) {
+  return new Map((info ? [...info.pages, ...(info.kept || [])] : []).map(entry => [entry.file, entry]));
+}
+
+/**
+ * Render every published page and compare the result with the build in
+ * outDir, without writing anything. Each page file gets a change entry
+ * ('added', 'changed', 'unchanged' or 'removed' with the lines added and
+ * removed); `edited` lists the built files that no longer match the hash
+ * recorded when they were written, i.e. were edited by hand.
+ */
+async function planSite(db, outDir = SITE_DIR) {
+  const pages = await new Promise((resolve, reject) => {
+    db.all(`SELECT p.id, p.name, p.slug, pp.content, pp.published_at FROM pages p
+      JOIN published_pages pp ON pp.page_id = p.id ORDER BY p.id`, [], (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const template = await fs.promises.readFile(TEMPLATE_PATH, 'utf8');
+  const templateHash = sha256(template);
+  const previous = await readBuildInfo(outDir);
+  const previousFiles = recordedFiles(previous);
+  const readBuilt = file => fs.promises.readFile(path.join(outDir, file), 'utf8').catch(() => null);
+
+  const rendered = [];
+  const changes = [];
+  const edited = [];
+  const uploads = new Set();
+  for (const page of pages) {
+    const content = JSON.parse(page.content);
+    const file = page.id === 1 ? 'index.html' : `${page.slug}/index.html`;
+    const html = renderPage(template, page, content, page.id === 1 ? '' : '../');
+    contentFiles(content).forEach(upload => uploads.add(upload));
+    rendered.push({ id: page.id, slug: page.slug, file, published_at: page.published_at, hash: sha256(html), html });
+    const before = await readBuilt(file);
+    const built = previousFiles.get(file);
+    previousFiles.delete(file);
+    if (before === null) {
+      changes.push({ file, status: 'added', ...lineChanges('', html) });
+      continue;
+    }
+    if (built && sha256(before) !== built.hash) edited.push(file);
+    const diff = lineChanges(before, html);
+    changes.push({ file, status: diff.added || diff.removed ? 'changed' : 'unchanged', ...diff });
+  }
+  for (const [file, built] of previousFiles) {
+    const before = await readBuilt(file);
+    if (before === null) continue;
+    if (sha256(before) !== built.hash) edited.push(file);
+    changes.push({ file, status: 'removed', ...lineChanges(before, '') });
+  }
+  return {
+    built_at: previous ? previous.built_at : null,
+    template_hash: templateHash,
+    template_changed: !previous || previous.template_hash !== templateHash,
+    pages: rendered,
+    uploads: [...uploads],
+    changes,
+    edited
+  };
+}
+
+// Whether a plan differs from what is built
+function planChanges(plan) {
+  return !plan.built_at || plan.changes.some(change => change.status !== 'unchanged');
+}
+
+/**
+ * Build the site from the published pages of `db` into SITE_DIR. The new
+ * build is written next to it and swapped in at the end, so a failed build
+ * leaves the previous one in place. Resolves to the build summary that is
+ * also saved as build.json, with the changes against the previous build.
+ * With `keepEdited`, files edited by hand are carried over unchanged and
+ * listed in `kept` (with the hash recorded before, so they are still found
+ * edited next time); otherwise they are replaced and listed in `edited`.
+ */
+async function buildSite(db, outDir = SITE_DIR, { keepEdited = false } = {}) {
+  const plan = await planSite(db, outDir);
+  const recorded = recordedFiles(await readBuildInfo(outDir));
+  const kept = keepEdited ? plan.edited : [];
+  const staging = `${outDir}.building`;
+  await fs.promises.rm(staging, { recursive: true, force: true });
+  await fs.promises.mkdir(staging, { recursive: true });
+  try {
+    for (const asset of STATIC_ASSETS) {
+      await copyAsset(path.join(FRONTEND_DIR, asset), path.join(staging, asset));
+    }
+    for (const file of kept) {
+      await copyAsset(path.join(outDir, file), path.join(staging, file));
+    }
+    for (const page of plan.pages.filter(page => !kept.includes(page.file))) {
+      await fs.promises.mkdir(path.dirname(path.join(staging, page.file)), { recursive: true });
+      await fs.promises.writeFile(path.join(staging, page.file), page.html);
+    }
+    for (const upload of plan.uploads) {
+      await copyAsset(path.join(UPLOAD_DIR, path.basename(upload)), path.join(staging, 'uploads', path.basename(upload)));
+    }
+    const summary = {
+      built_at: new Date().toISOString(),
+      output: outDir,
+      template_hash: plan.template_hash,
+      template_changed: plan.template_changed,
+      pages: plan.pages.map(({ html, ...page }) => page),
+      uploads: plan.uploads.length,
+      changes: plan.changes.map(change => (kept.includes(change.file) ? { file: change.file, status: 'unchanged', added: 0, removed: 0 } : change)),
+      edited: plan.edited.filter(file => !kept.includes(file)),
+      kept: kept.map(file => ({ file, hash: recorded.get(file).hash }))
+    };
+    await fs.promises.writeFile(path.join(staging, 'build.json'), JSON.stringify(summary, null, 2));
+    const previous = `${outDir}.previous`;
+    await fs.promises.rm(previous, { recursive: true, force: true });
+    if (fs.existsSync(outDir)) await fs.promises.rename(outDir, previous);
+    await fs.promises.rename(staging, outDir);
+    await fs.promises.rm(previous, { recursive: true, force: true });
+    return summary;
+  } catch (err) {
+    await fs.promises.rm(staging, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+module.exports = { buildSite, planSite, planChanges, renderPage, SITE_DIR, FRONTEND_DIR, TEMPLATE_PATH };
+
+if (require.main === module) {
+  const db = new sqlite3.Database(path.join(__dirname, 'db.sqlite'), sqlite3.OPEN_READONLY);
+  buildSite(db, process.argv[2] ? path.resolve(process.argv[2]) : SITE_DIR)
+    .then(summary => {
+      summary.edited.forEach(file => console.warn(`Replaced ${file}, which had been edited by hand`));
+      console.log(`Built ${summary.pages.length} page(s) into ${summary.output}`);
+    })
+    .catch(err => {
+      console.error('Build failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
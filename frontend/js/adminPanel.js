@@ -3,30 +3,112 @@
 let currentPageId = 1;
 let currentPageName = '';
 
+// Claims of the signed-in user's token ({ id, username, role })
+function currentUser() {
+  const token = localStorage.getItem('token');
+  if (!token) return null;
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(payload), c => c.charCodeAt(0))));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Prefix all API calls with backend base URL. This allows the
+// frontend to run on a different port than the backend (e.g. 3000 vs 4000).
+const BACKEND_BASE = 'http://localhost:4000';
+const LOGIN_PAGE = '/adminLoginPanel/adminLoginPanel.html';
+
+// Drop the stored tokens and go back to the login screen
+function redirectToLogin() {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  window.location.href = LOGIN_PAGE;
+}
+
+// In-flight refresh shared by concurrent requests, since every refresh
+// token can be used only once
+let refreshPromise = null;
+
+// Exchange the refresh token for a new access token. Resolves to false when
+// the session is over.
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return false;
+      const res = await fetch(BACKEND_BASE + '/api/token/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken })
+      });
+      if (!res.ok) return false;
+      const data = await res.json();
+      localStorage.setItem('token', data.token);
+      localStorage.setItem('refreshToken', data.refresh_token);
+      return true;
+    })().catch(() => false).finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+}
+
 async function apiFetch(url, options = {}) {
-  // Prefix all API calls with backend base URL. This allows the
-  // frontend to run on a different port than the backend (e.g. 3000 vs 4000).
-  const backendBase = 'http://localhost:4000';
   // If the url is relative (starts with '/') then prepend backend
-  const fullUrl = url.startsWith('http') ? url : backendBase + url;
-  const token = localStorage.getItem('token');
+  const fullUrl = url.startsWith('http') ? url : BACKEND_BASE + url;
   options.headers = options.headers || {};
-  if (token) {
-    options.headers['Authorization'] = 'Bearer ' + token;
+  const send = () => {
+    const token = localStorage.getItem('token');
+    if (token) {
+      options.headers['Authorization'] = 'Bearer ' + token;
+    }
+    return fetch(fullUrl, options);
+  };
+  let res = await send();
+  // An expired access token is renewed quietly and the request repeated;
+  // when the session itself is over the user has to log in again
+  if (res.status === 401) {
+    if (!(await refreshSession())) {
+      redirectToLogin();
+      return res;
+    }
+    res = await send();
+    if (res.status === 401) {
+      redirectToLogin();
+      return res;
+    }
+  }
+  // Any change may leave the draft different from the published page
+  if (options.method && options.method !== 'GET' && res.ok) {
+    refreshPublishStatus();
+    loadRevisions();
   }
-  return fetch(fullUrl, options);
+  return res;
 }
 
 function initAdmin() {
   // If no token, redirect to login
   if (!localStorage.getItem('token')) {
-    window.location.href = '/adminLoginPanel/adminLoginPanel.html';
+    window.location.href = LOGIN_PAGE;
     return;
   }
 
   // Load pages and then current page data
   loadPages();
 
+  const user = currentUser();
+  if (user && user.role === 'owner') {
+    document.querySelector('#users-tool').style.display = '';
+    document.querySelector('#storage-tool').style.display = '';
+    document.querySelector('#transfer-tool').style.display = '';
+    document.querySelector('#backups-tool').style.display = '';
+  } else {
+    // Weekend pricing applies to every page, so only owners change it
+    document.querySelectorAll('#weekend-surcharge, #weekend-days input').forEach(input => {
+      input.disabled = true;
+    });
+  }
+
   // Bind events
   // Navigation
   document.querySelectorAll('#nav-facebook, #nav-instagram').forEach(input => {
@@ -45,6 +127,15 @@ function initAdmin() {
   });
   document.querySelector('#add-stat-btn').addEventListener('click', addStat);
 
+  // Offers
+  document.querySelector('#add-offer-btn').addEventListener('click', addOffer);
+
+  // Pricing
+  document.querySelectorAll('#weekend-surcharge, #weekend-days input').forEach(input => {
+    input.addEventListener('change', savePricingSettings);
+  });
+  document.querySelector('#add-package-btn').addEventListener('click', addPackage);
+
   // Video frames upload
   const videoInput = document.querySelector('#video-upload');
   videoInput.addEventListener('change', uploadVideoFrames);
@@ -74,6 +165,127 @@ function initAdmin() {
   if (saveBtn) {
     saveBtn.addEventListener('click', saveAll);
   }
+  document.querySelector('#preview-btn').addEventListener('click', openPreview);
+
+  // Export and import bundles
+  document.querySelector('#page-export-btn').addEventListener('click', () => downloadBundle(`/api/pages/${currentPageId}/export`));
+  const pageImportInput = document.querySelector('#page-import');
+  pageImportInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file && confirm(`Zastąpić treść strony "${currentPageName}" zawartością paczki?`)) {
+      importBundle(file, { mode: 'overwrite', target_page_id: currentPageId });
+    }
+  });
+  document.querySelector('#page-import-btn').addEventListener('click', () => pageImportInput.click());
+  document.querySelector('#site-export-btn').addEventListener('click', () => downloadBundle('/api/export'));
+  const siteImportInput = document.querySelector('#site-import');
+  siteImportInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) importBundle(file, { mode: document.querySelector('#import-mode').value });
+  });
+  document.querySelector('#site-import-btn').addEventListener('click', () => siteImportInput.click());
+  document.querySelector('#site-build-btn').addEventListener('click', () => buildSite());
+
+  // Revision history
+  document.querySelector('#revisions-section').addEventListener('change', loadRevisions);
+
+  // Site-wide tools in the sidebar
+  document.querySelectorAll('#tools-list .nav-link').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      selectTool(link);
+    });
+  });
+
+  // Inquiries
+  document.querySelector('#inquiries-filter').addEventListener('change', loadInquiries);
+  updateUnreadInquiries();
+
+  // Bookings calendar
+  document.querySelector('#calendar-prev').addEventListener('click', () => shiftCalendarMonth(-1));
+  document.querySelector('#calendar-next').addEventListener('click', () => shiftCalendarMonth(1));
+  document.querySelector('#booking-form').addEventListener('submit', saveBooking);
+  document.querySelector('#booking-delete-btn').addEventListener('click', deleteBooking);
+  document.querySelector('#booking-reset-btn').addEventListener('click', () => resetBookingForm());
+  document.querySelector('#add-equipment-btn').addEventListener('click', addEquipment);
+
+  // Media library
+  const mediaInput = document.querySelector('#media-upload');
+  mediaInput.addEventListener('change', uploadMedia);
+  document.querySelector('#media-upload-btn').addEventListener('click', () => mediaInput.click());
+  document.querySelector('#media-search').addEventListener('input', () => {
+    clearTimeout(mediaSearchTimer);
+    mediaSearchTimer = setTimeout(loadMedia, 300);
+  });
+  document.querySelector('#media-kind').addEventListener('change', loadMedia);
+  document.querySelectorAll('.open-media-library').forEach(btn => {
+    btn.addEventListener('click', () => {
+      // Opened from a page's editor: add to that page
+      document.querySelector('#media-target-page').value = '';
+      selectTool(document.querySelector('#media-tool-link'));
+    });
+  });
+
+  // Storage and upload maintenance
+  document.querySelector('#uploads-check-btn').addEventListener('click', loadUploadsReport);
+  document.querySelector('#uploads-quarantine-btn').addEventListener('click', quarantineOrphans);
+  document.querySelector('#uploads-purge-btn').addEventListener('click', purgeQuarantine);
+
+  // Backups
+  document.querySelector('#backup-create-btn').addEventListener('click', createBackup);
+
+  // Users and own account
+  document.querySelector('#add-user-btn').addEventListener('click', addUser);
+  document.querySelector('#password-form').addEventListener('submit', changePassword);
+  document.querySelector('#logout-btn').addEventListener('click', logout);
+  document.querySelector('#logout-all-btn').addEventListener('click', logoutAllDevices);
+  document.querySelector('#two-factor-setup-btn').addEventListener('click', setupTwoFactor);
+  document.querySelector('#two-factor-enable-btn').addEventListener('click', enableTwoFactor);
+  document.querySelector('#two-factor-disable-btn').addEventListener('click', disableTwoFactor);
+  document.querySelector('#recovery-codes-btn').addEventListener('click', regenerateRecoveryCodes);
+}
+
+// Loaders for the site-wide tool views, keyed by the view element id
+const TOOL_LOADERS = {
+  'inquiries-view': loadInquiries,
+  'calendar-view': loadCalendar,
+  'media-view': loadMedia,
+  'users-view': loadUsers,
+  'storage-view': loadStorage,
+  'backups-view': loadBackups,
+  'transfer-view': loadSiteBuild,
+  'account-view': loadAccount
+};
+
+// Show one of the .admin-view panels and hide the others
+function showView(viewId) {
+  document.querySelectorAll('.admin-view').forEach(view => {
+    view.style.display = view.id === viewId ? '' : 'none';
+  });
+}
+
+// Select a site-wide tool from the sidebar
+function selectTool(link) {
+  document.querySelectorAll('#pages-list .nav-link, #tools-list .nav-link').forEach(a => {
+    a.classList.remove('active');
+  });
+  link.classList.add('active');
+  const viewId = link.dataset.view;
+  showView(viewId);
+  document.querySelector('.edit-notice').textContent = link.firstChild.textContent.trim();
+  if (TOOL_LOADERS[viewId]) TOOL_LOADERS[viewId]();
+}
+
+// Escape user-submitted text before inserting it with innerHTML
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 // Load list of pages and populate sidebar
@@ -81,6 +293,15 @@ async function loadPages() {
   try {
     const res = await apiFetch('/api/pages');
     const pages = await res.json();
+    const isOwner = (currentUser() || {}).role === 'owner';
+    // Editors limited to some pages start on the first one they may edit
+    if (pages.length && !pages.some(p => p.id === currentPageId)) {
+      currentPageId = pages[0].id;
+    }
+    if (!pages.length) {
+      currentPageId = 0;
+      showView('');
+    }
     const list = document.getElementById('pages-list');
     list.innerHTML = '';
     pages.forEach((p, idx) => {
@@ -103,6 +324,31 @@ async function loadPages() {
         selectPage(p.id, p.name);
       });
       li.appendChild(a);
+      // Rename / re-slug, duplicate and delete controls. The home page (id 1) can be
+      // renamed but not deleted. Only owners duplicate or delete pages.
+      const actions = document.createElement('span');
+      actions.className = 'page-actions';
+      const editBtn = document.createElement('button');
+      editBtn.className = 'btn btn-sm btn-link';
+      editBtn.title = 'Zmień nazwę lub adres';
+      editBtn.textContent = '✎';
+      editBtn.addEventListener('click', () => editPage(p));
+      actions.appendChild(editBtn);
+      const duplicateBtn = document.createElement('button');
+      duplicateBtn.className = 'btn btn-sm btn-link';
+      duplicateBtn.title = 'Duplikuj stronę';
+      duplicateBtn.textContent = '⧉';
+      duplicateBtn.addEventListener('click', () => duplicatePage(p));
+      if (isOwner) actions.appendChild(duplicateBtn);
+      if (isOwner && p.id !== 1) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-sm btn-link text-danger';
+        deleteBtn.title = 'Usuń stronę';
+        deleteBtn.textContent = '✕';
+        deleteBtn.addEventListener('click', () => deletePage(p));
+        actions.appendChild(deleteBtn);
+      }
+      li.appendChild(actions);
       list.appendChild(li);
     });
     // Add "add page" entry
@@ -117,12 +363,14 @@ async function loadPages() {
       addPage();
     });
     liAdd.appendChild(aAdd);
-    list.appendChild(liAdd);
+    if (isOwner) list.appendChild(liAdd);
 
     // After populating list, load data for current page
     if (currentPageId) {
       document.querySelector('.edit-notice').textContent = `Aktualnie edytujesz: ${currentPageName}`;
       fetchHomeData(currentPageId);
+    } else {
+      document.querySelector('.edit-notice').textContent = 'Nie masz dostępu do żadnej strony';
     }
   } catch (err) {
     console.error(err);
@@ -135,7 +383,7 @@ function selectPage(pageId, pageName) {
   currentPageId = pageId;
   currentPageName = pageName;
   // Update active classes
-  document.querySelectorAll('#pages-list .nav-link').forEach(a => {
+  document.querySelectorAll('#pages-list .nav-link, #tools-list .nav-link').forEach(a => {
     a.classList.remove('active');
   });
   const links = Array.from(document.querySelectorAll('#pages-list .nav-link'));
@@ -143,6 +391,7 @@ function selectPage(pageId, pageName) {
   if (match) match.classList.add('active');
   // Update notice
   document.querySelector('.edit-notice').textContent = `Aktualnie edytujesz: ${pageName}`;
+  showView('page-editor');
   // Load data
   fetchHomeData(currentPageId);
 }
@@ -168,10 +417,85 @@ async function addPage() {
   }
 }
 
+// Rename a page and/or change its slug
+async function editPage(page) {
+  const name = prompt('Nazwa strony', page.name);
+  if (name === null) return;
+  const slug = page.id === 1 ? page.slug : prompt('Adres strony (slug)', page.slug);
+  if (slug === null) return;
+  try {
+    const res = await apiFetch(`/api/pages/${page.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, slug })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.message);
+      return;
+    }
+    if (page.id === currentPageId) currentPageName = data.name;
+    loadPages();
+  } catch (err) {
+    console.error(err);
+    alert('Błąd zapisu strony');
+  }
+}
+
+// Create a new page as a copy of an existing one, including its media
+async function duplicatePage(page) {
+  const name = prompt('Nazwa nowej strony (kopia strony "' + page.name + '")');
+  if (!name) return;
+  try {
+    const res = await apiFetch(`/api/pages/${page.id}/duplicate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.message);
+      return;
+    }
+    currentPageId = data.id;
+    currentPageName = data.name;
+    showView('page-editor');
+    loadPages();
+  } catch (err) {
+    console.error(err);
+    alert('Błąd kopiowania strony');
+  }
+}
+
+// Delete a page with all of its content and media
+async function deletePage(page) {
+  if (!confirm(`Usunąć stronę "${page.name}" wraz z całą zawartością i plikami?`)) return;
+  try {
+    const res = await apiFetch(`/api/pages/${page.id}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.message);
+      return;
+    }
+    if (page.id === currentPageId) {
+      currentPageId = 1;
+      showView('page-editor');
+    }
+    loadPages();
+  } catch (err) {
+    console.error(err);
+    alert('Błąd usuwania strony');
+  }
+}
+
 async function fetchHomeData(pageId = currentPageId) {
   try {
-    const res = await apiFetch(`/api/home?pageId=${pageId}`);
+    const res = await apiFetch(`/api/pages/${pageId}/draft`);
     const data = await res.json();
+    refreshPublishStatus();
+    loadRevisions();
+    const pricingRes = await apiFetch(`/api/pricing/draft?pageId=${pageId}`);
+    const pricing = await pricingRes.json();
     // Fill nav
     document.querySelector('#nav-facebook').value = data.nav.facebook_url || '';
     document.querySelector('#nav-instagram').value = data.nav.instagram_url || '';
@@ -184,9 +508,11 @@ async function fetchHomeData(pageId = currentPageId) {
     data.stats.forEach(stat => {
       const div = document.createElement('div');
       div.className = 'form-group';
-      div.innerHTML = `<label>${stat.label}:</label> <input type="text" class="form-control stat-input" data-id="${stat.id}" value="${stat.value}"> <button class="btn btn-sm btn-danger delete-stat" data-id="${stat.id}">Usuń</button>`;
+      div.dataset.id = stat.id;
+      div.innerHTML = `<span class="drag-handle" title="Przeciągnij, aby zmienić kolejność">⠿</span> <label>${stat.label}:</label> <input type="text" class="form-control stat-input" data-id="${stat.id}" value="${stat.value}"> <button class="btn btn-sm btn-danger delete-stat" data-id="${stat.id}">Usuń</button>`;
       statsContainer.appendChild(div);
     });
+    enableReorder(statsContainer, '/api/stats/order');
     // Add new stat fields
     document.querySelector('#new-stat-label').value = '';
     document.querySelector('#new-stat-value').value = '';
@@ -201,15 +527,59 @@ async function fetchHomeData(pageId = currentPageId) {
       });
     });
 
+    // Fill offers
+    const offersContainer = document.querySelector('#offers-container');
+    offersContainer.innerHTML = '';
+    data.offers.forEach(offer => {
+      const div = document.createElement('div');
+      div.className = 'offer-item-preview';
+      div.innerHTML = `<img src="${offer.image_path || ''}" alt=""/>
+        <div class="offer-fields">
+          <div class="form-group"><label>Nazwa:</label><input type="text" class="form-control offer-title"></div>
+          <div class="form-group"><label>Opis:</label><textarea class="form-control offer-description" rows="3"></textarea></div>
+          <div class="form-group"><label>Pozycja:</label><input type="number" class="form-control small-input offer-position"></div>
+          <div class="form-group d-flex gap-2">
+            <div><label>Cena bazowa (zł):</label><input type="number" min="0" step="0.01" class="form-control small-input offer-base-price"></div>
+            <div><label>Stawka za godzinę (zł):</label><input type="number" min="0" step="0.01" class="form-control small-input offer-hourly-rate"></div>
+          </div>
+          <input type="file" class="offer-image-input" accept="image/*" style="display:none" />
+          <button class="btn btn-sm btn-secondary change-offer-image">Zmień zdjęcie</button>
+          <button class="btn btn-sm btn-outline-danger delete-offer">Usuń</button>
+        </div>`;
+      // Set values through the DOM so quotes in descriptions survive
+      div.querySelector('.offer-title').value = offer.title || '';
+      div.querySelector('.offer-description').value = offer.description || '';
+      div.querySelector('.offer-position').value = offer.position;
+      const price = pricing.offers.find(p => p.id === offer.id) || { base_price: 0, hourly_rate: 0 };
+      div.querySelector('.offer-base-price').value = price.base_price;
+      div.querySelector('.offer-hourly-rate').value = price.hourly_rate;
+      div.querySelectorAll('.offer-base-price, .offer-hourly-rate').forEach(input => {
+        input.addEventListener('change', () => updateOfferPrice(offer.id, div));
+      });
+      div.querySelectorAll('.offer-title, .offer-description, .offer-position').forEach(input => {
+        input.addEventListener('change', () => updateOffer(offer.id, div));
+      });
+      const imageInput = div.querySelector('.offer-image-input');
+      imageInput.addEventListener('change', () => updateOffer(offer.id, div, imageInput.files[0]));
+      div.querySelector('.change-offer-image').addEventListener('click', () => imageInput.click());
+      div.querySelector('.delete-offer').addEventListener('click', () => deleteOffer(offer.id));
+      offersContainer.appendChild(div);
+    });
+    document.querySelector('#new-offer-title').value = '';
+    document.querySelector('#new-offer-description').value = '';
+    document.querySelector('#new-offer-image').value = '';
+
     // Fill video frames preview
     const videoContainer = document.querySelector('#video-container');
     videoContainer.innerHTML = '';
     data.video_frames.forEach(frame => {
       const div = document.createElement('div');
       div.className = 'video-frame-preview';
-      div.innerHTML = `<video src="${frame.file_path}" muted loop playsinline style="width:100%; height:120px; object-fit:cover;"></video> <button class="btn btn-sm btn-outline-danger delete-video" data-id="${frame.id}">Usuń</button>`;
+      div.dataset.id = frame.id;
+      div.innerHTML = `<span class="drag-handle" title="Przeciągnij, aby zmienić kolejność">⠿</span> <video src="${frame.file_path}" muted loop playsinline style="width:100%; height:120px; object-fit:cover;"></video> <button class="btn btn-sm btn-outline-danger delete-video" data-id="${frame.id}">Usuń</button>`;
       videoContainer.appendChild(div);
     });
+    enableReorder(videoContainer, '/api/video-frames/order');
     document.querySelectorAll('.delete-video').forEach(btn => {
       btn.addEventListener('click', () => deleteVideoFrame(btn.dataset.id));
     });
@@ -220,9 +590,24 @@ async function fetchHomeData(pageId = currentPageId) {
     data.gallery.forEach(item => {
       const div = document.createElement('div');
       div.className = 'gallery-item-preview';
-      div.innerHTML = `<img src="${item.file_path}" alt="" style="width:100%; height:120px; object-fit:cover;"/> <button class="btn btn-sm btn-outline-danger delete-gallery" data-id="${item.id}">Usuń</button>`;
+      div.dataset.id = item.id;
+      div.innerHTML = `<span class="drag-handle" title="Przeciągnij, aby zmienić kolejność">⠿</span> <img src="${item.file_path}" srcset="${variantSrcset(item.variants, 'webp')}" sizes="150px" alt="" style="width:100%; height:120px; object-fit:cover;"/> <button class="btn btn-sm btn-outline-danger delete-gallery" data-id="${item.id}">Usuń</button>
+        <div class="gallery-fields">
+          <input type="text" class="form-control form-control-sm gallery-alt" placeholder="Tekst alternatywny">
+          <input type="text" class="form-control form-control-sm gallery-caption" placeholder="Podpis">
+          <input type="text" class="form-control form-control-sm gallery-album" placeholder="Album" list="gallery-albums">
+        </div>`;
+      // Set values through the DOM so quotes in captions survive
+      div.querySelector('.gallery-alt').value = item.alt_text || '';
+      div.querySelector('.gallery-caption').value = item.caption || '';
+      div.querySelector('.gallery-album').value = item.album || '';
+      div.querySelectorAll('.gallery-alt, .gallery-caption, .gallery-album').forEach(input => {
+        input.addEventListener('change', () => updateGalleryItem(item.id, div));
+      });
       galleryContainer.appendChild(div);
     });
+    renderAlbumSuggestions(data.gallery);
+    enableReorder(galleryContainer, '/api/gallery/order');
     document.querySelectorAll('.delete-gallery').forEach(btn => {
       btn.addEventListener('click', () => deleteGalleryItem(btn.dataset.id));
     });
@@ -233,13 +618,22 @@ async function fetchHomeData(pageId = currentPageId) {
     data.locations.forEach(loc => {
       const div = document.createElement('div');
       div.className = 'form-group d-flex align-items-center';
-      div.innerHTML = `<span class="badge bg-secondary me-2">${loc.name}</span> <button class="btn btn-sm btn-outline-danger delete-location" data-id="${loc.id}">Usuń</button>`;
+      div.dataset.id = loc.id;
+      div.innerHTML = `<span class="drag-handle me-2" title="Przeciągnij, aby zmienić kolejność">⠿</span><span class="badge bg-secondary me-2">${loc.name}</span> <label class="me-2 mb-0">Dojazd (zł):</label><input type="number" min="0" step="0.01" class="form-control small-input me-2 location-fee"> <button class="btn btn-sm btn-outline-danger delete-location" data-id="${loc.id}">Usuń</button>`;
+      const fee = pricing.locations.find(l => l.id === loc.id);
+      const feeInput = div.querySelector('.location-fee');
+      feeInput.value = fee ? fee.travel_fee : 0;
+      feeInput.addEventListener('change', () => updateLocationFee(loc.id, feeInput.value));
       locContainer.appendChild(div);
     });
+    enableReorder(locContainer, '/api/locations/order');
     document.querySelectorAll('.delete-location').forEach(btn => {
       btn.addEventListener('click', () => deleteLocation(btn.dataset.id));
     });
 
+    // Fill pricing rules
+    renderPricing(data.offers, pricing);
+
     // Fill footer
     document.querySelector('#footer-facebook').value = data.footer.facebook_url || '';
     document.querySelector('#footer-instagram').value = data.footer.instagram_url || '';
@@ -250,6 +644,64 @@ async function fetchHomeData(pageId = currentPageId) {
   }
 }
 
+// Item being dragged in one of the reorderable lists
+let draggedItem = null;
+
+// Drag-and-drop reordering of a list container. Every child carries its
+// record id in data-id and is dragged by its .drag-handle; after a drop the
+// new order of all ids is sent to the section's order endpoint.
+function enableReorder(container, endpoint) {
+  Array.from(container.children).forEach(item => {
+    const handle = item.querySelector('.drag-handle');
+    if (!handle) return;
+    // Only the handle starts a drag, so inputs inside the item stay usable
+    handle.addEventListener('mousedown', () => { item.draggable = true; });
+    item.addEventListener('dragstart', (e) => {
+      draggedItem = item;
+      item.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    item.addEventListener('dragend', () => {
+      item.draggable = false;
+      item.classList.remove('dragging');
+      draggedItem = null;
+    });
+  });
+  // The containers stay while their items are rendered again, so their
+  // listeners are only added the first time
+  if (container.dataset.reorder) return;
+  container.dataset.reorder = endpoint;
+  container.addEventListener('dragover', (e) => {
+    const dragged = draggedItem;
+    if (!dragged || dragged.parentElement !== container) return;
+    e.preventDefault();
+    const target = e.target.closest('[data-id]');
+    if (!target || target === dragged || target.parentElement !== container) return;
+    const rect = target.getBoundingClientRect();
+    // Horizontal lists (previews) compare along x, vertical ones along y
+    const horizontal = getComputedStyle(container).display.includes('flex');
+    const after = horizontal
+      ? e.clientX > rect.left + rect.width / 2
+      : e.clientY > rect.top + rect.height / 2;
+    container.insertBefore(dragged, after ? target.nextSibling : target);
+  });
+  container.addEventListener('drop', async (e) => {
+    if (!draggedItem || draggedItem.parentElement !== container) return;
+    e.preventDefault();
+    const ids = Array.from(container.children).map(item => Number(item.dataset.id));
+    const res = await apiFetch(`${endpoint}?pageId=${currentPageId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids })
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      alert(data.message || 'Nie udało się zapisać kolejności');
+      fetchHomeData(currentPageId);
+    }
+  });
+}
+
 async function saveNav() {
   const facebook_url = document.querySelector('#nav-facebook').value;
   const instagram_url = document.querySelector('#nav-instagram').value;
@@ -290,13 +742,146 @@ async function deleteStat(id) {
   await apiFetch(`/api/stats/${id}?pageId=${currentPageId}`, { method: 'DELETE' });
   fetchHomeData(currentPageId);
 }
+// Show why an upload was refused. The server lists the error of every
+// rejected file; returns false when the request failed.
+async function checkUpload(res) {
+  if (res.ok) return true;
+  const data = await res.json().catch(() => ({}));
+  const details = (data.errors || []).map(err => `• ${err.file}: ${err.message}`);
+  alert([data.message || 'Błąd przesyłania pliku', ...details].join('\n'));
+  return false;
+}
+async function addOffer() {
+  const title = document.querySelector('#new-offer-title').value;
+  const description = document.querySelector('#new-offer-description').value;
+  const image = document.querySelector('#new-offer-image').files[0];
+  if (!title) return;
+  const formData = new FormData();
+  formData.append('title', title);
+  formData.append('description', description);
+  if (image) formData.append('image', image);
+  const res = await apiFetch(`/api/offers?pageId=${currentPageId}`, { method: 'POST', body: formData });
+  if (!await checkUpload(res)) return;
+  fetchHomeData(currentPageId);
+}
+// Save the fields of an offer card; `image` is set when a new background
+// image was picked, in which case the preview is refreshed afterwards.
+async function updateOffer(id, container, image) {
+  const formData = new FormData();
+  formData.append('title', container.querySelector('.offer-title').value);
+  formData.append('description', container.querySelector('.offer-description').value);
+  formData.append('position', container.querySelector('.offer-position').value);
+  if (image) formData.append('image', image);
+  const res = await apiFetch(`/api/offers/${id}?pageId=${currentPageId}`, { method: 'PUT', body: formData });
+  if (!await checkUpload(res)) return;
+  if (image) fetchHomeData(currentPageId);
+}
+async function deleteOffer(id) {
+  await apiFetch(`/api/offers/${id}?pageId=${currentPageId}`, { method: 'DELETE' });
+  fetchHomeData(currentPageId);
+}
+async function updateOfferPrice(id, container) {
+  await apiFetch(`/api/pricing/offers/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      base_price: container.querySelector('.offer-base-price').value,
+      hourly_rate: container.querySelector('.offer-hourly-rate').value
+    })
+  });
+}
+async function updateLocationFee(id, travelFee) {
+  await apiFetch(`/api/pricing/locations/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ travel_fee: travelFee })
+  });
+}
+
+// Weekend surcharge (site-wide) and the current page's package bundles
+function renderPricing(offers, pricing) {
+  document.querySelector('#weekend-surcharge').value = pricing.weekend_surcharge_percent;
+  document.querySelectorAll('#weekend-days input').forEach(cb => {
+    cb.checked = pricing.weekend_days.includes(Number(cb.value));
+  });
+  const offerCheckboxes = selected => offers.map(o =>
+    `<label class="me-3"><input type="checkbox" value="${o.id}" ${selected.includes(o.id) ? 'checked' : ''}/> ${escapeHtml(o.title)}</label>`
+  ).join('');
+  const container = document.querySelector('#packages-container');
+  container.innerHTML = '';
+  pricing.packages.forEach(pkg => {
+    const div = document.createElement('div');
+    div.className = 'form-group package-item';
+    div.innerHTML = `<div class="d-flex gap-2 align-items-end">
+        <div><label>Nazwa:</label><input type="text" class="form-control package-name"></div>
+        <div><label>Rabat (%):</label><input type="number" min="0" max="100" class="form-control small-input package-discount"></div>
+        <button class="btn btn-sm btn-outline-danger delete-package">Usuń</button>
+      </div>
+      <div class="package-offers mt-1">${offerCheckboxes(pkg.offer_ids)}</div>`;
+    div.querySelector('.package-name').value = pkg.name;
+    div.querySelector('.package-discount').value = pkg.discount_percent;
+    div.querySelectorAll('input').forEach(input => {
+      input.addEventListener('change', () => updatePackage(pkg.id, div));
+    });
+    div.querySelector('.delete-package').addEventListener('click', () => deletePackage(pkg.id));
+    container.appendChild(div);
+  });
+  document.querySelector('#new-package-name').value = '';
+  document.querySelector('#new-package-discount').value = '';
+  document.querySelector('#new-package-offers').innerHTML = offerCheckboxes([]);
+}
+async function savePricingSettings() {
+  const weekend_days = Array.from(document.querySelectorAll('#weekend-days input:checked')).map(cb => Number(cb.value));
+  await apiFetch('/api/pricing/settings', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      weekend_surcharge_percent: document.querySelector('#weekend-surcharge').value,
+      weekend_days
+    })
+  });
+}
+async function addPackage() {
+  const name = document.querySelector('#new-package-name').value;
+  const discount_percent = document.querySelector('#new-package-discount').value;
+  const offer_ids = Array.from(document.querySelectorAll('#new-package-offers input:checked')).map(cb => Number(cb.value));
+  if (!name) return;
+  const res = await apiFetch(`/api/pricing/packages?pageId=${currentPageId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, discount_percent, offer_ids })
+  });
+  if (!res.ok) {
+    const data = await res.json();
+    alert(data.message);
+    return;
+  }
+  fetchHomeData(currentPageId);
+}
+async function updatePackage(id, container) {
+  await apiFetch(`/api/pricing/packages/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      name: container.querySelector('.package-name').value,
+      discount_percent: container.querySelector('.package-discount').value,
+      offer_ids: Array.from(container.querySelectorAll('.package-offers input:checked')).map(cb => Number(cb.value))
+    })
+  });
+}
+async function deletePackage(id) {
+  await apiFetch(`/api/pricing/packages/${id}`, { method: 'DELETE' });
+  fetchHomeData(currentPageId);
+}
 async function uploadVideoFrames(e) {
   const files = e.target.files;
   const formData = new FormData();
   for (let i = 0; i < files.length; i++) {
     formData.append('files', files[i]);
   }
-  await apiFetch(`/api/video-frames?pageId=${currentPageId}`, { method: 'POST', body: formData });
+  const res = await apiFetch(`/api/video-frames?pageId=${currentPageId}`, { method: 'POST', body: formData });
+  e.target.value = '';
+  if (!await checkUpload(res)) return;
   fetchHomeData(currentPageId);
 }
 async function deleteVideoFrame(id) {
@@ -309,9 +894,47 @@ async function uploadGallery(e) {
   for (let i = 0; i < files.length; i++) {
     formData.append('images', files[i]);
   }
-  await apiFetch(`/api/gallery?pageId=${currentPageId}`, { method: 'POST', body: formData });
+  const res = await apiFetch(`/api/gallery?pageId=${currentPageId}`, { method: 'POST', body: formData });
+  e.target.value = '';
+  if (!await checkUpload(res)) return;
   fetchHomeData(currentPageId);
 }
+// srcset of a gallery photo's responsive variants in one format. WebP is
+// enough for the small previews here; every current browser decodes it.
+function variantSrcset(variants, format) {
+  return (variants || [])
+    .filter(v => v.format === format)
+    .map(v => `${v.path} ${v.width}w`)
+    .join(', ');
+}
+
+// Suggested albums: the usual event types plus any already in use
+const DEFAULT_ALBUMS = ['wesele', '18-stka', 'firmowe'];
+
+function renderAlbumSuggestions(gallery) {
+  const albums = new Set(DEFAULT_ALBUMS);
+  gallery.forEach(item => { if (item.album) albums.add(item.album); });
+  document.querySelector('#gallery-albums').innerHTML = Array.from(albums)
+    .map(album => `<option value="${escapeHtml(album)}"></option>`).join('');
+}
+
+async function updateGalleryItem(id, div) {
+  const res = await apiFetch(`/api/gallery/${id}?pageId=${currentPageId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      alt_text: div.querySelector('.gallery-alt').value,
+      caption: div.querySelector('.gallery-caption').value,
+      album: div.querySelector('.gallery-album').value
+    })
+  });
+  if (!res.ok) {
+    alert('Nie udało się zapisać opisu zdjęcia');
+    return;
+  }
+  const saved = await res.json();
+  div.querySelector('.gallery-album').value = saved.album || '';
+}
 async function deleteGalleryItem(id) {
   await apiFetch(`/api/gallery/${id}?pageId=${currentPageId}`, { method: 'DELETE' });
   fetchHomeData(currentPageId);
@@ -342,16 +965,1030 @@ async function saveFooter() {
   });
 }
 
+// Inquiries inbox
+const INQUIRY_STATUS_LABELS = {
+  new: 'Nowe',
+  quoted: 'Wycenione',
+  booked: 'Zarezerwowane',
+  rejected: 'Odrzucone'
+};
+
+async function loadInquiries() {
+  try {
+    const status = document.querySelector('#inquiries-filter').value;
+    const res = await apiFetch('/api/inquiries' + (status ? `?status=${status}` : ''));
+    const inquiries = await res.json();
+    const container = document.querySelector('#inquiries-container');
+    container.innerHTML = '';
+    if (inquiries.length === 0) {
+      container.innerHTML = '<p class="text-muted">Brak zapytań</p>';
+    }
+    inquiries.forEach(inq => {
+      const div = document.createElement('div');
+      div.className = 'inquiry-item' + (inq.is_read ? '' : ' unread');
+      const statusOptions = Object.keys(INQUIRY_STATUS_LABELS).map(key =>
+        `<option value="${key}" ${key === inq.status ? 'selected' : ''}>${INQUIRY_STATUS_LABELS[key]}</option>`
+      ).join('');
+      div.innerHTML = `<div class="d-flex justify-content-between">
+          <strong>${escapeHtml(inq.name)}</strong>
+          <span class="inquiry-meta">${escapeHtml(inq.created_at)} · ${escapeHtml(inq.page_name || 'strona usunięta')}</span>
+        </div>
+        <div>E-mail: ${escapeHtml(inq.email) || '-'} · Telefon: ${escapeHtml(inq.phone) || '-'}</div>
+        <div>Data wydarzenia: ${escapeHtml(inq.event_date) || '-'} · Miejsce: ${escapeHtml(inq.location) || '-'}</div>
+        <div>Atrakcje: ${inq.attractions.length ? inq.attractions.map(escapeHtml).join(', ') : '-'}</div>
+        <p class="mt-2 mb-2">${escapeHtml(inq.message)}</p>
+        <div class="form-group d-flex gap-2 align-items-center">
+          <select class="form-control small-input inquiry-status">${statusOptions}</select>
+          <button class="btn btn-sm btn-secondary toggle-read">${inq.is_read ? 'Oznacz jako nieprzeczytane' : 'Oznacz jako przeczytane'}</button>
+          <button class="btn btn-sm btn-outline-danger delete-inquiry">Usuń</button>
+        </div>
+        <div class="form-group">
+          <label>Notatki:</label>
+          <textarea class="form-control inquiry-notes" rows="2"></textarea>
+        </div>`;
+      div.querySelector('.inquiry-notes').value = inq.notes || '';
+      div.querySelector('.inquiry-status').addEventListener('change', (e) => {
+        updateInquiry(inq.id, { status: e.target.value, is_read: true });
+      });
+      div.querySelector('.inquiry-notes').addEventListener('change', (e) => {
+        updateInquiry(inq.id, { notes: e.target.value });
+      });
+      div.querySelector('.toggle-read').addEventListener('click', () => {
+        updateInquiry(inq.id, { is_read: !inq.is_read });
+      });
+      div.querySelector('.delete-inquiry').addEventListener('click', () => deleteInquiry(inq.id));
+      container.appendChild(div);
+    });
+    updateUnreadInquiries();
+  } catch (err) {
+    console.error(err);
+    alert('Błąd pobierania zapytań');
+  }
+}
+async function updateInquiry(id, changes) {
+  await apiFetch(`/api/inquiries/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes)
+  });
+  // Notes are saved silently; status and read changes re-render the inbox
+  if (changes.status !== undefined || changes.is_read !== undefined) loadInquiries();
+}
+async function deleteInquiry(id) {
+  if (!confirm('Usunąć to zapytanie?')) return;
+  await apiFetch(`/api/inquiries/${id}`, { method: 'DELETE' });
+  loadInquiries();
+}
+// Show the number of unread inquiries next to the sidebar link
+async function updateUnreadInquiries() {
+  try {
+    const res = await apiFetch('/api/inquiries?unread=1');
+    const unread = await res.json();
+    document.querySelector('#inquiries-unread').textContent = unread.length || '';
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// Bookings calendar
+let calendarMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+let calendarBookings = [];
+let equipmentList = [];
+
+const pad2 = n => String(n).padStart(2, '0');
+const formatDay = date => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+function shiftCalendarMonth(delta) {
+  calendarMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + delta, 1);
+  loadCalendar();
+}
+
+async function loadCalendar() {
+  try {
+    const month = formatDay(calendarMonth).slice(0, 7);
+    const [bookingsRes, equipmentRes] = await Promise.all([
+      apiFetch(`/api/bookings?month=${month}`),
+      apiFetch('/api/equipment')
+    ]);
+    calendarBookings = await bookingsRes.json();
+    equipmentList = await equipmentRes.json();
+    renderCalendar();
+    renderEquipment();
+    if (!document.querySelector('#booking-id').value) resetBookingForm();
+  } catch (err) {
+    console.error(err);
+    alert('Błąd pobierania rezerwacji');
+  }
+}
+
+// Render the month grid. Bookings spanning several days appear on each day.
+function renderCalendar() {
+  document.querySelector('#calendar-month').textContent =
+    calendarMonth.toLocaleDateString('pl-PL', { month: 'long', year: 'numeric' });
+  const grid = document.querySelector('#calendar-grid');
+  grid.innerHTML = '';
+  ['Pn', 'Wt', 'Śr', 'Cz', 'Pt', 'Sb', 'Nd'].forEach(name => {
+    const cell = document.createElement('div');
+    cell.className = 'calendar-weekday';
+    cell.textContent = name;
+    grid.appendChild(cell);
+  });
+  // Leading empty cells so the 1st lands on its weekday (Monday first)
+  const leading = (calendarMonth.getDay() + 6) % 7;
+  for (let i = 0; i < leading; i++) {
+    const cell = document.createElement('div');
+    cell.className = 'calendar-day outside';
+    grid.appendChild(cell);
+  }
+  const daysInMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + 1, 0).getDate();
+  const today = formatDay(new Date());
+  for (let d = 1; d <= daysInMonth; d++) {
+    const day = formatDay(new Date(calendarMonth.getFullYear(), calendarMonth.getMonth(), d));
+    const cell = document.createElement('div');
+    cell.className = 'calendar-day' + (day === today ? ' today' : '');
+    cell.innerHTML = `<strong>${d}</strong>`;
+    cell.addEventListener('click', () => resetBookingForm(day));
+    calendarBookings
+      .filter(b => b.start_at < `${day}T24:00` && b.end_at > `${day}T00:00`)
+      .forEach(b => {
+        const item = document.createElement('span');
+        item.className = 'calendar-booking ' + b.status;
+        item.textContent = `${b.start_at.slice(11)} ${b.client_name} (${b.equipment.map(e => e.name).join(', ')})`;
+        item.title = item.textContent + (b.location ? ` – ${b.location}` : '');
+        item.addEventListener('click', (e) => {
+          e.stopPropagation();
+          editBooking(b);
+        });
+        cell.appendChild(item);
+      });
+    grid.appendChild(cell);
+  }
+}
+
+function renderBookingEquipment(selectedIds) {
+  const container = document.querySelector('#booking-equipment');
+  container.innerHTML = '';
+  equipmentList
+    .filter(eq => eq.active || selectedIds.includes(eq.id))
+    .forEach(eq => {
+      const label = document.createElement('label');
+      label.innerHTML = `<input type="checkbox" value="${eq.id}" ${selectedIds.includes(eq.id) ? 'checked' : ''}/> ${escapeHtml(eq.name)}`;
+      container.appendChild(label);
+    });
+}
+
+// Clear the booking form; `day` (YYYY-MM-DD) pre-fills an evening slot
+function resetBookingForm(day) {
+  document.querySelector('#booking-form').reset();
+  document.querySelector('#booking-id').value = '';
+  document.querySelector('#booking-form-title').textContent = 'Nowa rezerwacja';
+  document.querySelector('#booking-delete-btn').style.display = 'none';
+  document.querySelector('#booking-error').textContent = '';
+  if (day) {
+    document.querySelector('#booking-start').value = `${day}T16:00`;
+    document.querySelector('#booking-end').value = `${day}T23:59`;
+  }
+  renderBookingEquipment([]);
+}
+
+function editBooking(booking) {
+  document.querySelector('#booking-id').value = booking.id;
+  document.querySelector('#booking-form-title').textContent = `Rezerwacja: ${booking.client_name}`;
+  document.querySelector('#booking-client-name').value = booking.client_name || '';
+  document.querySelector('#booking-client-email').value = booking.client_email || '';
+  document.querySelector('#booking-client-phone').value = booking.client_phone || '';
+  document.querySelector('#booking-start').value = booking.start_at;
+  document.querySelector('#booking-end').value = booking.end_at;
+  document.querySelector('#booking-status').value = booking.status;
+  document.querySelector('#booking-location').value = booking.location || '';
+  document.querySelector('#booking-notes').value = booking.notes || '';
+  document.querySelector('#booking-delete-btn').style.display = '';
+  document.querySelector('#booking-error').textContent = '';
+  renderBookingEquipment(booking.equipment.map(e => e.id));
+}
+
+async function saveBooking(e) {
+  e.preventDefault();
+  const id = document.querySelector('#booking-id').value;
+  const payload = {
+    client_name: document.querySelector('#booking-client-name').value,
+    client_email: document.querySelector('#booking-client-email').value,
+    client_phone: document.querySelector('#booking-client-phone').value,
+    start_at: document.querySelector('#booking-start').value,
+    end_at: document.querySelector('#booking-end').value,
+    status: document.querySelector('#booking-status').value,
+    location: document.querySelector('#booking-location').value,
+    notes: document.querySelector('#booking-notes').value,
+    equipment_ids: Array.from(document.querySelectorAll('#booking-equipment input:checked')).map(cb => Number(cb.value))
+  };
+  const res = await apiFetch(id ? `/api/bookings/${id}` : '/api/bookings', {
+    method: id ? 'PUT' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    // Conflicts list the bookings that already hold the chosen units
+    const details = (data.conflicts || [])
+      .map(c => `${c.equipment_name}: ${c.client_name} (${c.start_at.replace('T', ' ')} – ${c.end_at.replace('T', ' ')})`)
+      .join('; ');
+    document.querySelector('#booking-error').textContent = data.message + (details ? ` – ${details}` : '');
+    return;
+  }
+  resetBookingForm();
+  loadCalendar();
+}
+
+async function deleteBooking() {
+  const id = document.querySelector('#booking-id').value;
+  if (!id || !confirm('Usunąć tę rezerwację?')) return;
+  await apiFetch(`/api/bookings/${id}`, { method: 'DELETE' });
+  resetBookingForm();
+  loadCalendar();
+}
+
+function renderEquipment() {
+  const container = document.querySelector('#equipment-container');
+  container.innerHTML = '';
+  equipmentList.forEach(eq => {
+    const div = document.createElement('div');
+    div.className = 'form-group d-flex align-items-center gap-2';
+    div.innerHTML = `<span class="badge ${eq.active ? 'bg-secondary' : 'bg-light text-muted'} me-2">${escapeHtml(eq.name)}</span>
+      <small class="text-muted">${escapeHtml(eq.type)}</small>
+      <button class="btn btn-sm btn-outline-secondary toggle-equipment">${eq.active ? 'Wyłącz' : 'Włącz'}</button>
+      <button class="btn btn-sm btn-outline-danger delete-equipment">Usuń</button>`;
+    div.querySelector('.toggle-equipment').addEventListener('click', async () => {
+      await apiFetch(`/api/equipment/${eq.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ active: !eq.active })
+      });
+      loadCalendar();
+    });
+    div.querySelector('.delete-equipment').addEventListener('click', async () => {
+      if (!confirm('Usunąć ten sprzęt?')) return;
+      const res = await apiFetch(`/api/equipment/${eq.id}`, { method: 'DELETE' });
+      if (!res.ok) {
+        const data = await res.json();
+        alert(data.message);
+        return;
+      }
+      loadCalendar();
+    });
+    container.appendChild(div);
+  });
+}
+
+async function addEquipment() {
+  const name = document.querySelector('#new-equipment-name').value;
+  const type = document.querySelector('#new-equipment-type').value;
+  if (!name) return;
+  await apiFetch('/api/equipment', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, type })
+  });
+  document.querySelector('#new-equipment-name').value = '';
+  document.querySelector('#new-equipment-type').value = '';
+  loadCalendar();
+}
+
+// Media library
+const MEDIA_SECTION_LABELS = {
+  gallery: 'Galeria',
+  video_frames: 'Ramki wideo',
+  offers: 'Oferta'
+};
+let mediaSearchTimer = null;
+
+function formatBytes(bytes) {
+  if (bytes == null) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function loadMedia() {
+  try {
+    const params = new URLSearchParams();
+    const search = document.querySelector('#media-search').value.trim();
+    const kind = document.querySelector('#media-kind').value;
+    if (search) params.set('search', search);
+    if (kind) params.set('kind', kind);
+    const [res, pagesRes] = await Promise.all([apiFetch(`/api/media?${params}`), apiFetch('/api/pages')]);
+    const assets = await res.json();
+    const pages = await pagesRes.json();
+    // Assets are added to the page being edited unless another is picked
+    const target = document.querySelector('#media-target-page');
+    const selected = target.value || String(currentPageId);
+    target.innerHTML = pages.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+    target.value = pages.some(p => String(p.id) === selected) ? selected : (pages[0] ? String(pages[0].id) : '');
+    const isOwner = (currentUser() || {}).role === 'owner';
+    const container = document.querySelector('#media-container');
+    container.innerHTML = assets.length ? '' : '<p class="text-muted">Brak plików.</p>';
+    assets.forEach(asset => {
+      const div = document.createElement('div');
+      div.className = 'media-item';
+      const preview = asset.kind === 'video'
+        ? `<video src="${asset.file_path}" muted playsinline preload="metadata"></video>`
+        : `<img src="${asset.file_path}" srcset="${variantSrcset(asset.variants, 'webp')}" sizes="120px" alt="">`;
+      const usage = asset.usage.length
+        ? asset.usage.map(u => `${MEDIA_SECTION_LABELS[u.section]}: ${escapeHtml(u.page_name)}`).join('<br>')
+        : 'Nieużywany';
+      div.innerHTML = `${preview}
+        <div class="media-info">
+          <strong>${escapeHtml(asset.original_name)}</strong>
+          <small class="text-muted">${formatBytes(asset.size)}${asset.width ? ` · ${asset.width}×${asset.height}` : ''}</small>
+          <small class="media-usage">${usage}</small>
+          <div class="d-flex gap-2 mt-1">
+            ${asset.kind === 'image' ? '<button class="btn btn-sm btn-outline-primary attach-gallery">Do galerii</button>' : ''}
+            <button class="btn btn-sm btn-outline-primary attach-video">Do ramek wideo</button>
+            ${isOwner ? '<button class="btn btn-sm btn-outline-danger delete-media">Usuń</button>' : ''}
+          </div>
+        </div>`;
+      const galleryBtn = div.querySelector('.attach-gallery');
+      if (galleryBtn) galleryBtn.addEventListener('click', () => attachMedia('/api/gallery/attach', asset.id));
+      div.querySelector('.attach-video').addEventListener('click', () => attachMedia('/api/video-frames/attach', asset.id));
+      const deleteBtn = div.querySelector('.delete-media');
+      if (deleteBtn) deleteBtn.addEventListener('click', () => deleteMedia(asset));
+      container.appendChild(div);
+    });
+  } catch (err) {
+    console.error(err);
+    alert('Błąd pobierania biblioteki mediów');
+  }
+}
+
+async function uploadMedia(e) {
+  const files = e.target.files;
+  const formData = new FormData();
+  for (let i = 0; i < files.length; i++) {
+    formData.append('files', files[i]);
+  }
+  const res = await apiFetch('/api/media', { method: 'POST', body: formData });
+  e.target.value = '';
+  if (!await checkUpload(res)) return;
+  loadMedia();
+}
+
+async function attachMedia(endpoint, mediaId) {
+  const pageId = document.querySelector('#media-target-page').value;
+  const res = await apiFetch(`${endpoint}?pageId=${pageId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ media_ids: [mediaId] })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    alert(data.message || 'Nie udało się dodać pliku');
+    return;
+  }
+  loadMedia();
+}
+
+async function deleteMedia(asset) {
+  if (!confirm(`Usunąć ${asset.original_name} z biblioteki?`)) return;
+  const res = await apiFetch(`/api/media/${asset.id}`, { method: 'DELETE' });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    alert(data.message || 'Nie udało się usunąć pliku');
+    return;
+  }
+  loadMedia();
+}
+
+// Storage usage and upload maintenance
+async function loadStorage() {
+  try {
+    const res = await apiFetch('/api/storage');
+    const storage = await res.json();
+    const row = (label, files, bytes) => `<tr><td>${label}</td><td>${files}</td><td>${formatBytes(bytes)}</td></tr>`;
+    document.querySelector('#storage-container').innerHTML = `<table class="table table-sm">
+        <thead><tr><th>Strona</th><th>Pliki</th><th>Rozmiar</th></tr></thead>
+        <tbody>${storage.pages.map(p => row(escapeHtml(p.name), p.files, p.bytes)).join('')}</tbody>
+        <tfoot>
+          ${row('Biblioteka mediów', storage.library.files, storage.library.bytes)}
+          ${row('Katalog uploads (łącznie)', storage.uploads.files, storage.uploads.bytes)}
+          ${row('Kwarantanna', storage.quarantine.files, storage.quarantine.bytes)}
+        </tfoot>
+      </table>
+      <small class="text-muted">Pliki używane przez kilka stron liczą się dla każdej z nich.</small>`;
+  } catch (err) {
+    console.error(err);
+  }
+  loadUploadsReport();
+}
+
+async function loadUploadsReport() {
+  const container = document.querySelector('#uploads-report-container');
+  try {
+    const res = await apiFetch('/api/maintenance/uploads');
+    const report = await res.json();
+    const orphans = report.orphans.length
+      ? `<ul>${report.orphans.map(o => `<li>${escapeHtml(o.file)} (${formatBytes(o.size)})${o.recent ? ' <small class="text-muted">nowy, pominięty</small>' : ''}</li>`).join('')}</ul>`
+      : '<p class="text-muted">Brak osieroconych plików.</p>';
+    const missing = report.missing.length
+      ? `<ul>${report.missing.map(m => `<li>${escapeHtml(m.file_path)} <small class="text-muted">${escapeHtml(m.table)} #${m.id}${m.page_id ? `, strona ${m.page_id}` : ''}</small></li>`).join('')}</ul>`
+      : '<p class="text-muted">Wszystkie wpisy mają swoje pliki.</p>';
+    container.innerHTML = `<h5>Osierocone pliki</h5>${orphans}
+      <h5>Brakujące pliki</h5>${missing}
+      <h5>Kwarantanna</h5>
+      <div class="quarantine-list"></div>`;
+    const list = container.querySelector('.quarantine-list');
+    if (report.quarantined.length === 0) list.innerHTML = '<p class="text-muted">Kwarantanna jest pusta.</p>';
+    report.quarantined.forEach(q => {
+      const div = document.createElement('div');
+      div.className = 'd-flex align-items-center gap-2 mb-1';
+      div.innerHTML = `<span>${escapeHtml(q.file)} (${formatBytes(q.size)})</span>
+        <button class="btn btn-sm btn-outline-secondary">Przywróć</button>`;
+      div.querySelector('button').addEventListener('click', () => restoreQuarantined(q.file));
+      list.appendChild(div);
+    });
+  } catch (err) {
+    console.error(err);
+    container.innerHTML = '<p class="text-danger">Błąd sprawdzania plików</p>';
+  }
+}
+
+async function quarantineOrphans() {
+  const res = await apiFetch('/api/maintenance/uploads/quarantine', { method: 'POST' });
+  const data = await res.json();
+  alert(`Przeniesiono do kwarantanny: ${data.quarantined.length}`);
+  loadStorage();
+}
+
+async function purgeQuarantine() {
+  if (!confirm('Trwale usunąć wszystkie pliki z kwarantanny?')) return;
+  const res = await apiFetch('/api/maintenance/uploads/purge', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ older_than_days: 0 })
+  });
+  const data = await res.json();
+  alert(`Usunięto plików: ${data.purged.length}`);
+  loadStorage();
+}
+
+async function restoreQuarantined(file) {
+  await apiFetch('/api/maintenance/uploads/restore', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ files: [file] })
+  });
+  loadStorage();
+}
+
+// Backups of the database and uploads
+const BACKUP_KIND_LABELS = {
+  daily: 'dzienna',
+  weekly: 'tygodniowa',
+  manual: 'ręczna',
+  'pre-restore': 'przed przywróceniem'
+};
+
+async function loadBackups() {
+  const container = document.querySelector('#backups-container');
+  try {
+    const res = await apiFetch('/api/backups');
+    const data = await res.json();
+    document.querySelector('#backups-retention').textContent =
+      `Kopie są tworzone automatycznie. Przechowywane są ostatnie ${data.retention.daily} dzienne i ${data.retention.weekly} tygodniowe; kopie ręczne do usunięcia.`;
+    container.innerHTML = data.backups.length ? '' : '<p class="text-muted">Brak kopii zapasowych.</p>';
+    data.backups.forEach(b => {
+      const div = document.createElement('div');
+      div.className = 'd-flex align-items-center gap-2 mb-1';
+      div.innerHTML = `<span>${b.created_at ? new Date(b.created_at).toLocaleString('pl-PL') : escapeHtml(b.name)}</span>
+        <small class="text-muted">${BACKUP_KIND_LABELS[b.kind] || escapeHtml(b.kind)}${b.damaged ? ', uszkodzona' : `, ${b.files} plików, ${formatBytes(b.bytes)}`}</small>
+        <button class="btn btn-sm btn-outline-secondary download-backup">Pobierz</button>
+        <button class="btn btn-sm btn-outline-warning restore-backup">Przywróć</button>
+        <button class="btn btn-sm btn-outline-danger delete-backup">Usuń</button>`;
+      div.querySelector('.download-backup').addEventListener('click', () => downloadBundle(`/api/backups/${b.name}/download`));
+      div.querySelector('.restore-backup').addEventListener('click', () => restoreBackup(b));
+      div.querySelector('.delete-backup').addEventListener('click', () => deleteBackup(b));
+      container.appendChild(div);
+    });
+  } catch (err) {
+    console.error(err);
+    container.innerHTML = '<p class="text-danger">Błąd pobierania kopii zapasowych</p>';
+  }
+}
+
+async function createBackup() {
+  const res = await apiFetch('/api/backups', { method: 'POST' });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    alert(data.message || 'Błąd tworzenia kopii zapasowej');
+  }
+  loadBackups();
+}
+
+async function restoreBackup(backup) {
+  if (!confirm('Zastąpić całą bazę danych i pliki stanem z tej kopii? Obecny stan zostanie najpierw zapisany jako osobna kopia.')) return;
+  const res = await apiFetch(`/api/backups/${backup.name}/restore`, { method: 'POST' });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    alert([data.message || 'Błąd przywracania kopii zapasowej', ...(data.errors || []).map(err => `• ${err}`)].join('\n'));
+    return;
+  }
+  alert(data.message);
+  // Pages, users and sessions now come from the restored database
+  window.location.reload();
+}
+
+async function deleteBackup(backup) {
+  if (!confirm('Usunąć tę kopię zapasową?')) return;
+  await apiFetch(`/api/backups/${backup.name}`, { method: 'DELETE' });
+  loadBackups();
+}
+
+// User accounts (owners only)
+const USER_ROLE_LABELS = {
+  owner: 'Właściciel',
+  editor: 'Redaktor',
+  readonly: 'Tylko odczyt'
+};
+
+// Checkboxes for the pages a user may edit
+function renderUserPages(pages, selected) {
+  return pages.map(p =>
+    `<label class="me-2"><input type="checkbox" value="${p.id}" ${selected.includes(p.id) ? 'checked' : ''}> ${escapeHtml(p.name)}</label>`
+  ).join('');
+}
+
+// Ids of the checked pages inside a container
+function checkedPageIds(container) {
+  return Array.from(container.querySelectorAll('input[type=checkbox]:checked')).map(cb => Number(cb.value));
+}
+
+async function loadUsers() {
+  try {
+    const [res, pagesRes] = await Promise.all([apiFetch('/api/users'), apiFetch('/api/pages')]);
+    const users = await res.json();
+    const pages = await pagesRes.json();
+    document.querySelector('#new-user-pages').innerHTML = renderUserPages(pages, []);
+    loadLoginAttempts();
+    const me = currentUser();
+    const container = document.querySelector('#users-container');
+    container.innerHTML = '';
+    users.forEach(u => {
+      const div = document.createElement('div');
+      div.className = 'user-item';
+      const roleOptions = Object.keys(USER_ROLE_LABELS).map(key =>
+        `<option value="${key}" ${key === u.role ? 'selected' : ''}>${USER_ROLE_LABELS[key]}</option>`
+      ).join('');
+      div.innerHTML = `<div class="form-group d-flex align-items-center gap-2">
+          <strong class="me-2">${escapeHtml(u.username)}</strong>
+          <select class="form-control small-input user-role">${roleOptions}</select>
+          ${u.must_change_password ? '<small class="text-muted">oczekuje na zmianę hasła</small>' : ''}
+          <button class="btn btn-sm btn-outline-secondary reset-password">Ustaw hasło</button>
+          ${u.totp_enabled ? '<button class="btn btn-sm btn-outline-secondary reset-2fa">Wyłącz 2FA</button>' : ''}
+          ${me && me.id === u.id ? '' : '<button class="btn btn-sm btn-outline-danger delete-user">Usuń</button>'}
+        </div>
+        <div class="user-pages" ${u.role === 'owner' ? 'style="display:none"' : ''}>
+          <small class="text-muted me-2">Strony:</small>${renderUserPages(pages, u.page_ids)}
+        </div>`;
+      div.querySelector('.user-role').addEventListener('change', (e) => updateUser(u.id, { role: e.target.value }));
+      const userPages = div.querySelector('.user-pages');
+      userPages.addEventListener('change', () => updateUser(u.id, { page_ids: checkedPageIds(userPages) }));
+      div.querySelector('.reset-password').addEventListener('click', () => {
+        const password = prompt(`Nowe hasło tymczasowe dla ${u.username}`);
+        if (password) updateUser(u.id, { password });
+      });
+      const reset2faBtn = div.querySelector('.reset-2fa');
+      if (reset2faBtn) {
+        reset2faBtn.addEventListener('click', () => {
+          if (confirm(`Wyłączyć weryfikację dwuetapową dla ${u.username}?`)) updateUser(u.id, { reset_2fa: true });
+        });
+      }
+      const deleteBtn = div.querySelector('.delete-user');
+      if (deleteBtn) deleteBtn.addEventListener('click', () => deleteUser(u));
+      container.appendChild(div);
+    });
+  } catch (err) {
+    console.error(err);
+    alert('Błąd pobierania użytkowników');
+  }
+}
+
+// Failed and blocked login attempts
+async function loadLoginAttempts() {
+  try {
+    const res = await apiFetch('/api/login-attempts');
+    const attempts = await res.json();
+    const container = document.querySelector('#login-attempts-container');
+    if (attempts.length === 0) {
+      container.innerHTML = '<p class="text-muted">Brak nieudanych logowań</p>';
+      return;
+    }
+    container.innerHTML = `<table class="table table-sm">
+        <thead><tr><th>Data</th><th>Login</th><th>Adres IP</th><th>Wynik</th></tr></thead>
+        <tbody>${attempts.map(a => `<tr>
+          <td>${escapeHtml(a.created_at)}</td>
+          <td>${escapeHtml(a.username)}</td>
+          <td>${escapeHtml(a.ip)}</td>
+          <td>${a.reason === 'blocked' ? 'zablokowane' : 'błędne dane'}</td>
+        </tr>`).join('')}</tbody>
+      </table>`;
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function addUser() {
+  const username = document.querySelector('#new-user-username').value;
+  const password = document.querySelector('#new-user-password').value;
+  const role = document.querySelector('#new-user-role').value;
+  const page_ids = checkedPageIds(document.querySelector('#new-user-pages'));
+  if (!username) return;
+  const res = await apiFetch('/api/users', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password, role, page_ids })
+  });
+  if (!res.ok) {
+    const data = await res.json();
+    alert(data.message);
+    return;
+  }
+  document.querySelector('#new-user-username').value = '';
+  document.querySelector('#new-user-password').value = '';
+  loadUsers();
+}
+
+async function updateUser(id, changes) {
+  const res = await apiFetch(`/api/users/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes)
+  });
+  if (!res.ok) {
+    const data = await res.json();
+    alert(data.message);
+  }
+  loadUsers();
+}
+
+async function deleteUser(user) {
+  if (!confirm(`Usunąć użytkownika ${user.username}?`)) return;
+  const res = await apiFetch(`/api/users/${user.id}`, { method: 'DELETE' });
+  if (!res.ok) {
+    const data = await res.json();
+    alert(data.message);
+  }
+  loadUsers();
+}
+
+// Change the signed-in user's password
+async function changePassword(e) {
+  e.preventDefault();
+  const newPassword = document.querySelector('#account-new-password').value;
+  if (newPassword !== document.querySelector('#account-new-password-repeat').value) {
+    alert('Hasła nie są takie same');
+    return;
+  }
+  const res = await apiFetch('/api/account/password', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      current_password: document.querySelector('#current-password').value,
+      new_password: newPassword
+    })
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    alert(data.message);
+    return;
+  }
+  e.target.reset();
+  alert('Hasło zostało zmienione. Pozostałe urządzenia zostały wylogowane.');
+}
+
+// Own account: two-factor authentication status
+async function loadAccount() {
+  try {
+    const res = await apiFetch('/api/account');
+    const account = await res.json();
+    document.querySelector('#two-factor-status').textContent = account.totp_enabled
+      ? `Włączona. Pozostałe kody odzyskiwania: ${account.recovery_codes_left}.`
+      : 'Wyłączona. Po włączeniu logowanie wymaga kodu z aplikacji w telefonie.';
+    document.querySelector('#two-factor-setup-btn').style.display = account.totp_enabled ? 'none' : '';
+    document.querySelector('#two-factor-manage').style.display = account.totp_enabled ? '' : 'none';
+    document.querySelector('#two-factor-setup').style.display = 'none';
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function showRecoveryCodes(codes) {
+  document.querySelector('#recovery-codes-list').innerHTML = codes.map(code => `<li>${escapeHtml(code)}</li>`).join('');
+  document.querySelector('#recovery-codes').style.display = '';
+}
+
+async function setupTwoFactor() {
+  const res = await apiFetch('/api/account/2fa/setup', { method: 'POST' });
+  const data = await res.json();
+  if (!res.ok) {
+    alert(data.message);
+    return;
+  }
+  document.querySelector('#two-factor-qr').src = data.qr;
+  document.querySelector('#two-factor-secret').textContent = data.secret;
+  document.querySelector('#two-factor-setup').style.display = '';
+  document.querySelector('#two-factor-setup-btn').style.display = 'none';
+}
+
+async function enableTwoFactor() {
+  const res = await apiFetch('/api/account/2fa/enable', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code: document.querySelector('#two-factor-enable-code').value })
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    alert(data.message);
+    return;
+  }
+  document.querySelector('#two-factor-enable-code').value = '';
+  await loadAccount();
+  showRecoveryCodes(data.recovery_codes);
+}
+
+async function regenerateRecoveryCodes() {
+  const res = await apiFetch('/api/account/2fa/recovery-codes', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code: document.querySelector('#two-factor-code').value })
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    alert(data.message);
+    return;
+  }
+  document.querySelector('#two-factor-code').value = '';
+  await loadAccount();
+  showRecoveryCodes(data.recovery_codes);
+}
+
+async function disableTwoFactor() {
+  if (!confirm('Wyłączyć weryfikację dwuetapową?')) return;
+  const res = await apiFetch('/api/account/2fa/disable', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      password: document.querySelector('#two-factor-password').value,
+      code: document.querySelector('#two-factor-code').value
+    })
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    alert(data.message);
+    return;
+  }
+  document.querySelector('#two-factor-password').value = '';
+  document.querySelector('#two-factor-code').value = '';
+  document.querySelector('#recovery-codes').style.display = 'none';
+  loadAccount();
+}
+
+// End the current session
+async function logout() {
+  try {
+    await fetch(BACKEND_BASE + '/api/logout', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer ' + localStorage.getItem('token') }
+    });
+  } catch (err) {
+    console.error(err);
+  }
+  redirectToLogin();
+}
+
+// End every session of this account, including the current one
+async function logoutAllDevices() {
+  if (!confirm('Wylogować to konto ze wszystkich urządzeń?')) return;
+  const res = await apiFetch('/api/logout-all', { method: 'POST' });
+  if (!res.ok) {
+    alert('Błąd wylogowania');
+    return;
+  }
+  redirectToLogin();
+}
+
 // Save all sections at once
 async function saveAll() {
   try {
     await saveNav();
     await saveWelcome();
     await saveFooter();
-    alert('Zmiany zostały zapisane');
+    const res = await apiFetch(`/api/pages/${currentPageId}/publish`, { method: 'POST' });
+    if (!res.ok) throw new Error('Publish failed');
+    alert('Zmiany zostały opublikowane');
+  } catch (err) {
+    console.error(err);
+    alert('Wystąpił błąd podczas publikowania zmian');
+  }
+}
+
+// Labels for the revision history
+const REVISION_SECTION_LABELS = {
+  nav: 'Nawigacja',
+  welcome_header: 'Nagłówek powitalny',
+  stats: 'Statystyki',
+  video_frames: 'Ramki wideo',
+  gallery: 'Galeria',
+  locations: 'Lokalizacje',
+  footer: 'Stopka'
+};
+const REVISION_ACTION_LABELS = {
+  create: 'dodano',
+  update: 'zmieniono',
+  delete: 'usunięto',
+  reorder: 'zmieniono kolejność',
+  restore: 'przywrócono'
+};
+
+// Short text form of a revision's row copy
+function describeRevisionData(data) {
+  if (!data) return '—';
+  if (Array.isArray(data.order)) return `kolejność: ${data.order.join(', ')}`;
+  return Object.keys(data).map(key => `${key}: ${data[key] || ''}`).join(', ');
+}
+
+// Load the revision history of the current page
+async function loadRevisions() {
+  const container = document.querySelector('#revisions-container');
+  if (!container) return;
+  try {
+    const section = document.querySelector('#revisions-section').value;
+    const res = await apiFetch(`/api/revisions?pageId=${currentPageId}` + (section ? `&section=${section}` : ''));
+    if (!res.ok) return;
+    const revisions = await res.json();
+    container.innerHTML = '';
+    if (revisions.length === 0) {
+      container.innerHTML = '<p class="text-muted">Brak zapisanych zmian</p>';
+    }
+    revisions.forEach(rev => {
+      const div = document.createElement('div');
+      div.className = 'revision-item';
+      div.innerHTML = `<div class="d-flex justify-content-between">
+          <strong>${REVISION_SECTION_LABELS[rev.section] || escapeHtml(rev.section)}: ${REVISION_ACTION_LABELS[rev.action] || escapeHtml(rev.action)}</strong>
+          <span class="revision-meta">${escapeHtml(rev.created_at)} · ${escapeHtml(rev.username || '-')}</span>
+        </div>
+        <div class="revision-change">Przed: ${escapeHtml(describeRevisionData(rev.before_data))}</div>
+        <div class="revision-change">Po: ${escapeHtml(describeRevisionData(rev.after_data))}</div>
+        <button class="btn btn-sm btn-outline-secondary mt-1 restore-revision">Przywróć stan sprzed tej zmiany</button>`;
+      div.querySelector('.restore-revision').addEventListener('click', () => restoreRevision(rev.id));
+      container.appendChild(div);
+    });
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// Roll back the change recorded by a revision
+async function restoreRevision(id) {
+  if (!confirm('Przywrócić stan sprzed tej zmiany?')) return;
+  try {
+    const res = await apiFetch(`/api/revisions/${id}/restore`, { method: 'POST' });
+    if (!res.ok) throw new Error('Restore failed');
+    fetchHomeData(currentPageId);
+  } catch (err) {
+    console.error(err);
+    alert('Błąd przywracania zmiany');
+  }
+}
+
+// Show whether the current page has changes that visitors don't see yet
+async function refreshPublishStatus() {
+  const label = document.querySelector('#publish-status');
+  if (!label) return;
+  try {
+    const res = await apiFetch(`/api/pages/${currentPageId}/publish-status`);
+    if (!res.ok) return;
+    const status = await res.json();
+    if (!status.published_at) {
+      label.textContent = 'Strona nie jest jeszcze opublikowana';
+    } else if (status.has_changes) {
+      label.textContent = 'Masz nieopublikowane zmiany';
+    } else {
+      label.textContent = `Opublikowano: ${status.published_at}`;
+    }
+    label.classList.toggle('text-warning', status.has_changes);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+// Download an export bundle or backup; the file name comes from the server
+async function downloadBundle(url) {
+  try {
+    const res = await apiFetch(url);
+    if (!res.ok) throw new Error('Export failed');
+    const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = match ? match[1] : 'eksport.tar.gz';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  } catch (err) {
+    console.error(err);
+    alert('Błąd eksportu');
+  }
+}
+
+const IMPORT_ACTION_LABELS = { created: 'utworzono', overwritten: 'nadpisano' };
+
+// Import a bundle; `fields` holds the mode and, when overwriting a single
+// page, its id
+async function importBundle(file, fields) {
+  const formData = new FormData();
+  formData.append('bundle', file);
+  Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+  try {
+    const res = await apiFetch('/api/import', { method: 'POST', body: formData });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      alert([data.message || 'Błąd importu', ...(data.errors || []).map(err => `• ${err}`)].join('\n'));
+      return;
+    }
+    document.querySelector('#import-result').innerHTML = `<ul>${data.pages.map(p =>
+      `<li>${escapeHtml(p.name)} (/${escapeHtml(p.slug)}) — ${IMPORT_ACTION_LABELS[p.action]}</li>`).join('')}</ul>`;
+    loadPages();
+  } catch (err) {
+    console.error(err);
+    alert('Błąd importu');
+  }
+}
+
+const SITE_CHANGE_LABELS = { added: 'nowy', changed: 'zmieniony', removed: 'usunięty' };
+
+// Status of the built site (GET /api/site) or the result of a build: the
+// page files that differ, with lines added and removed, and hand edits
+function showSiteBuild(data, built) {
+  const status = document.querySelector('#site-build-status');
+  const lines = [];
+  if (data.error) lines.push(`<p class="text-danger">Ostatnie budowanie nie powiodło się: ${escapeHtml(data.error)}</p>`);
+  if (!data.built_at) {
+    lines.push(`<p>${data.running ? 'Trwa budowanie…' : 'Witryna nie została jeszcze zbudowana.'}</p>`);
+  } else if (built) {
+    lines.push(`<p>Zbudowano ${new Date(data.built_at).toLocaleString('pl-PL')}: ${data.pages.length} stron, ${data.uploads} plików w ${escapeHtml(data.output)}</p>`);
+  } else {
+    lines.push(`<p>Ostatnie budowanie: ${new Date(data.built_at).toLocaleString('pl-PL')}. ${data.outdated ? 'Witryna jest nieaktualna.' : 'Witryna jest aktualna.'}</p>`);
+  }
+  if (data.built_at && data.template_changed) {
+    lines.push(`<p>Szablon index.html zmienił się od ${built ? 'poprzedniego' : 'ostatniego'} budowania.</p>`);
+  }
+  const changes = (data.changes || []).filter(c => c.status !== 'unchanged');
+  if (data.built_at && changes.length) {
+    lines.push(`<ul class="mb-1">${changes.map(c => `<li>${escapeHtml(c.file)} (${SITE_CHANGE_LABELS[c.status]}): +${c.added} / −${c.removed} linii</li>`).join('')}</ul>`);
+  }
+  if ((data.edited || []).length) {
+    lines.push(`<p class="text-warning">${built ? 'Zastąpiono pliki zmienione ręcznie' : 'Pliki zmienione ręcznie, automatyczne budowanie ich nie zmienia; zostaną zastąpione przy budowaniu z potwierdzeniem'}: ${data.edited.map(escapeHtml).join(', ')}</p>`);
+  }
+  if ((data.kept || []).length) {
+    lines.push(`<p class="text-warning">Zachowano pliki zmienione ręcznie: ${data.kept.map(k => escapeHtml(k.file)).join(', ')}</p>`);
+  }
+  status.innerHTML = lines.join('');
+}
+
+async function loadSiteBuild() {
+  try {
+    const res = await apiFetch('/api/site');
+    showSiteBuild(await res.json(), false);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+async function buildSite(force = false) {
+  const res = await apiFetch('/api/site/build', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ force })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 409 && data.edited) {
+    if (confirm(`Te pliki witryny zostały zmienione ręcznie i zostaną zastąpione:\n${data.edited.join('\n')}\n\nZbudować mimo to?`)) buildSite(true);
+    return;
+  }
+  if (!res.ok) return alert(data.message || 'Błąd budowania witryny');
+  showSiteBuild(data, true);
+}
+
+// Open the draft of the current page through a signed preview link
+async function openPreview() {
+  // Open the window before awaiting so popup blockers allow it
+  const win = window.open('', '_blank');
+  try {
+    const res = await apiFetch(`/api/pages/${currentPageId}/preview`, { method: 'POST' });
+    if (!res.ok) throw new Error('Preview failed');
+    const { token, slug } = await res.json();
+    // The backend renders the page's draft for a valid token
+    const pagePath = currentPageId === 1 ? '/' : `/${slug}`;
+    win.location.href = `${BACKEND_BASE}${pagePath}?preview=${encodeURIComponent(token)}`;
   } catch (err) {
     console.error(err);
-    alert('Wystąpił błąd podczas zapisywania zmian');
+    win.close();
+    alert('Błąd tworzenia podglądu');
   }
 }
 
@@ -1,34 +1,61 @@
 // This script loads dynamic content for a page from the backend API and
-// updates the DOM accordingly. Each static page includes a global
-// PAGE_ID variable set in the HTML. When the page loads, dataLoader.js
+// updates the DOM accordingly. Each page includes a global PAGE_ID
+// variable set in the HTML. When the page loads, dataLoader.js
 // fetches the content via `/api/home?pageId=PAGE_ID` and populates the
-// appropriate sections (navigation links, welcome header, stats,
-// gallery, locations and footer). This allows the site to reflect
-// changes made in the admin panel without rebuilding HTML.
+// appropriate sections (navigation links, welcome header, offer cards,
+// stats, gallery, locations and footer). This allows the site to reflect
+// changes published in the admin panel without rebuilding HTML.
+//
+// Pages rendered by the backend (GET /:slug) or built by
+// backend/siteBuilder.js already contain their content and carry it as JSON
+// in #page-content, so no API call is needed; uploads are then loaded from
+// the site itself (window.SITE_ROOT) instead of the backend.
 
 // Define backend base URL once. All API calls and asset paths use this
 // constant so the frontend can run on a different port (e.g. 3000) while
-// talking to the backend on port 4000.
-const BACKEND_BASE = 'http://localhost:4000';
+// talking to the backend on port 4000. Rendered pages set their own ('' when
+// served by the backend itself).
+const BACKEND_BASE = typeof window.BACKEND_BASE === 'string' ? window.BACKEND_BASE : 'http://localhost:4000';
+
+// Where uploaded files are loaded from, ending in '/'
+let uploadsRoot = BACKEND_BASE + '/';
 
 document.addEventListener('DOMContentLoaded', () => {
   const pageId = window.PAGE_ID || 1;
-  fetch(`${BACKEND_BASE}/api/home?pageId=${pageId}`)
-    .then(res => res.json())
+  const baked = document.getElementById('page-content');
+  let load;
+  if (baked) {
+    uploadsRoot = window.SITE_ROOT || '';
+    load = Promise.resolve().then(() => JSON.parse(baked.textContent));
+  } else {
+    // Preview links carry a signed token that unlocks the unpublished draft
+    const preview = new URLSearchParams(window.location.search).get('preview');
+    const previewParam = preview ? `&preview=${encodeURIComponent(preview)}` : '';
+    load = fetch(`${BACKEND_BASE}/api/home?pageId=${pageId}${previewParam}`)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      });
+  }
+  load
     .then(data => {
       try {
         updateNav(data.nav);
         updateWelcome(data.welcome_header);
         updateVideoFrames(data.video_frames);
+        updateOffers(data.offers);
         updateStats(data.stats);
         updateGallery(data.gallery);
         updateLocations(data.locations);
         updateFooter(data.footer);
+        updateInquiryAttractions(data.offers);
       } catch (err) {
         console.error('Error updating page content', err);
       }
     })
     .catch(err => console.error('Failed to load page data', err));
+  initInquiryForm(pageId);
+  initQuoteCalculator(pageId);
 });
 
 // Update social icons in header and footer
@@ -90,7 +117,7 @@ function updateVideoFrames(frames) {
       const frameDiv = document.createElement('div');
       frameDiv.className = 'photo-frame';
       const vid = document.createElement('video');
-      vid.src = BACKEND_BASE + frame.file_path;
+      vid.src = resolveAssetUrl(frame.file_path);
       vid.autoplay = true;
       vid.muted = true;
       vid.loop = true;
@@ -119,8 +146,8 @@ function updateVideoFrames(frames) {
   videos.forEach((videoEl, index) => {
     const frame = frames[index % frames.length];
     if (!frame) return;
-    const newSrc = BACKEND_BASE + frame.file_path;
-    if (videoEl.src !== newSrc) {
+    const newSrc = resolveAssetUrl(frame.file_path);
+    if (videoEl.getAttribute('src') !== newSrc) {
       videoEl.src = newSrc;
       videoEl.autoplay = true;
       videoEl.muted = true;
@@ -153,6 +180,73 @@ function updateVideoFrames(frames) {
   }
 }
 
+// Resolve an asset path stored in the database. Uploaded files live on the
+// backend under /uploads, while the default offer images are part of the
+// static frontend (e.g. /images/360.png). Built pages may be deployed under
+// a sub-path, so there both are taken relative to the site root.
+function resolveAssetUrl(filePath) {
+  if (!filePath) return '';
+  if (filePath.startsWith('/uploads/')) return uploadsRoot + filePath.slice(1);
+  if (filePath.startsWith('/') && typeof window.SITE_ROOT === 'string') return window.SITE_ROOT + filePath.slice(1);
+  return filePath;
+}
+
+// Render the "Nasza oferta" cards. The markup mirrors the hardcoded cards
+// in index.html (background, overlay, hover content and title overlay) so
+// the existing CSS applies; the background image is set inline instead of
+// through the per-card classes. The cards are laid out three per row and an
+// incomplete last row is centred with an offset, like the original layout.
+function updateOffers(offers) {
+  const row = document.querySelector('.offers-section .row');
+  if (!row || !offers || offers.length === 0) return;
+  row.innerHTML = '';
+  const lastRowStart = offers.length - (offers.length % 3 || 3);
+  const lastRowCount = offers.length - lastRowStart;
+  offers.forEach((offer, index) => {
+    const col = document.createElement('div');
+    col.className = 'col-lg-4 col-md-6';
+    if (index === lastRowStart && lastRowCount < 3) {
+      col.classList.add(lastRowCount === 2 ? 'offset-lg-2' : 'offset-lg-4');
+    }
+    const card = document.createElement('div');
+    card.className = 'offer-card h-100';
+    const background = document.createElement('div');
+    background.className = 'card-background';
+    if (offer.image_path) {
+      background.style.backgroundImage = `url("${resolveAssetUrl(offer.image_path)}")`;
+    }
+    const overlay = document.createElement('div');
+    overlay.className = 'card-overlay';
+    const content = document.createElement('div');
+    content.className = 'card-content';
+    const contentTitle = document.createElement('h4');
+    contentTitle.textContent = offer.title;
+    const description = document.createElement('p');
+    description.textContent = offer.description || '';
+    content.appendChild(contentTitle);
+    content.appendChild(description);
+    const titleOverlay = document.createElement('div');
+    titleOverlay.className = 'card-title-overlay';
+    const overlayTitle = document.createElement('h4');
+    overlayTitle.textContent = offer.title;
+    titleOverlay.appendChild(overlayTitle);
+    card.appendChild(background);
+    card.appendChild(overlay);
+    card.appendChild(content);
+    card.appendChild(titleOverlay);
+    col.appendChild(card);
+    row.appendChild(col);
+  });
+  // Re-bind the scroll and hover animations from script.js to the new
+  // cards and let ScrollTrigger recalculate positions.
+  if (typeof initializeOfferCards === 'function' && typeof gsap !== 'undefined') {
+    initializeOfferCards();
+  }
+  if (typeof ScrollTrigger !== 'undefined') {
+    ScrollTrigger.refresh();
+  }
+}
+
 // Update stats section. It assumes each statistic is displayed in a
 // `.stat-card` element with child `.stat-number` and `.stat-label`.
 function updateStats(stats) {
@@ -269,28 +363,97 @@ function updateStats(stats) {
 
 // Update gallery carousel images. This function updates the
 // `.image-carousel` slides by replacing the `data-src` attributes on
-// existing image elements. The gallery uses three slides; if more
-// images are available, only the first three are used.
+// existing image elements and hands the full list (with captions) to the
+// carousel. When photos are tagged with albums, filter buttons above the
+// carousel limit it to one album.
 function updateGallery(gallery) {
   if (!gallery || gallery.length === 0) return;
+  renderGalleryAlbums(gallery);
+  avifSupported.then(avif => {
+    galleryFormat = avif ? 'avif' : 'webp';
+    showGalleryItems(gallery);
+  });
+}
+
+// Uploaded photos come in AVIF and WebP variants of several widths. AVIF is
+// smaller but not decoded everywhere, so a 1x1 test image decides.
+const AVIF_TEST_IMAGE = 'data:image/avif;base64,AAAAHGZ0eXBhdmlmAAAAAG1pZjFhdmlmbWlhZgAAANZtZXRhAAAAAAAAACFoZGxyAAAAAAAAAABwaWN0AAAAAAAAAAAAAAAAAAAAACJpbG9jAAAAAERAAAEAAQAAAAAA+gABAAAAAAAAAB0AAAAjaWluZgAAAAAAAQAAABVpbmZlAgAAAAABAABhdjAxAAAAAA5waXRtAAAAAAABAAAAVmlwcnAAAAA4aXBjbwAAAAxhdjFDgSACAAAAABRpc3BlAAAAAAAAAAEAAAABAAAAEHBpeGkAAAAAAwgICAAAABZpcG1hAAAAAAAAAAEAAQOBAgMAAAAlbWRhdBIACgc4AAaQENBpMhAcQmLk4AAWIgCQNZlG2Xsw';
+const avifSupported = new Promise(resolve => {
+  const img = new Image();
+  img.onload = () => resolve(img.width > 0);
+  img.onerror = () => resolve(false);
+  img.src = AVIF_TEST_IMAGE;
+});
+let galleryFormat = 'webp';
+
+// Rendered width of the carousel slides. Photos are cropped to cover the
+// slide, so landscape shots need roughly twice the slide width.
+const GALLERY_SLIDE_SIZES = '(max-width: 768px) 400px, 600px';
+
+// srcset of a photo's variants in the chosen format ('' for photos without
+// variants, which then load their original)
+function gallerySrcset(item) {
+  return (item.variants || [])
+    .filter(v => v.format === galleryFormat)
+    .map(v => `${resolveAssetUrl(v.path)} ${v.width}w`)
+    .join(', ');
+}
+
+// Point the three slides at the given photos and restart the carousel
+function showGalleryItems(items) {
   const slides = document.querySelectorAll('.image-carousel .image-slide img');
-  if (slides.length === 0) return;
+  if (slides.length === 0 || items.length === 0) return;
   for (let i = 0; i < slides.length; i++) {
     const img = slides[i];
-    const item = gallery[i % gallery.length];
-    img.dataset.src = BACKEND_BASE + item.file_path;
+    const item = items[i % items.length];
+    img.dataset.src = resolveAssetUrl(item.file_path);
+    img.dataset.srcset = gallerySrcset(item);
+    img.sizes = GALLERY_SLIDE_SIZES;
     img.alt = item.alt_text || 'Gallery image';
     // If the image is already loaded, update src directly
     if (img.classList.contains('loaded')) {
-      img.src = BACKEND_BASE + item.file_path;
+      img.srcset = img.dataset.srcset;
+      img.src = resolveAssetUrl(item.file_path);
     }
   }
   // After updating data-src attributes we re-run initializeGallery
   if (typeof initializeGallery === 'function') {
-    initializeGallery();
+    initializeGallery(items.map(item => ({
+      src: resolveAssetUrl(item.file_path),
+      srcset: gallerySrcset(item),
+      sizes: GALLERY_SLIDE_SIZES,
+      alt: item.alt_text || 'Gallery image',
+      caption: item.caption || ''
+    })));
   }
 }
 
+// Render one button per album plus "Wszystkie". Hidden when no photo has
+// an album.
+function renderGalleryAlbums(gallery) {
+  const container = document.querySelector('.gallery-albums');
+  if (!container) return;
+  const albums = [...new Set(gallery.map(item => item.album).filter(Boolean))].sort();
+  container.innerHTML = '';
+  container.hidden = albums.length === 0;
+  if (albums.length === 0) return;
+  const addButton = (label, album) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'gallery-album-btn' + (album === null ? ' active' : '');
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+      container.querySelectorAll('.gallery-album-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      showGalleryItems(album === null ? gallery : gallery.filter(item => item.album === album));
+      if (typeof updateCarousel === 'function') updateCarousel();
+    });
+    container.appendChild(btn);
+  };
+  addButton('Wszystkie', null);
+  albums.forEach(album => addButton(album, album));
+}
+
 // Update locations overlay list. Distributes locations into two columns.
 function updateLocations(locations) {
   if (!locations || locations.length === 0) return;
@@ -334,4 +497,196 @@ function updateFooter(footer) {
       link.textContent = footer.phone;
     }
   }
-}
\ No newline at end of file
+}
+
+// Replace the attraction checkboxes in the inquiry form with the titles of
+// the page's offer cards, so the form lists what the page actually offers.
+function updateInquiryAttractions(offers) {
+  const container = document.querySelector('.inquiry-form .inquiry-attractions');
+  if (!container || !offers || offers.length === 0) return;
+  container.innerHTML = '';
+  offers.forEach(offer => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.name = 'attractions';
+    checkbox.value = offer.title;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(' ' + offer.title));
+    container.appendChild(label);
+  });
+}
+
+// Submit the contact section's inquiry form to the backend. The inquiry is
+// stored against the current page so the admin inbox shows where it came from.
+function initInquiryForm(pageId) {
+  const form = document.querySelector('.inquiry-form');
+  if (!form) return;
+  const status = form.querySelector('.inquiry-status');
+  const dateInput = form.querySelector('[name="event_date"]');
+  if (dateInput) {
+    dateInput.addEventListener('change', () => showAvailability(dateInput.value));
+  }
+  const setStatus = (text, isError) => {
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle('error', !!isError);
+  };
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const formData = new FormData(form);
+    const payload = {
+      name: formData.get('name'),
+      email: formData.get('email'),
+      phone: formData.get('phone'),
+      event_date: formData.get('event_date'),
+      location: formData.get('location'),
+      attractions: formData.getAll('attractions'),
+      message: formData.get('message')
+    };
+    if (!payload.name || (!payload.email && !payload.phone)) {
+      setStatus('Podaj imię oraz e-mail lub telefon.', true);
+      return;
+    }
+    const submitBtn = form.querySelector('[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+      const res = await fetch(`${BACKEND_BASE}/api/inquiries?pageId=${pageId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setStatus(data.message || 'Nie udało się wysłać zapytania.', true);
+        return;
+      }
+      form.reset();
+      showAvailability('');
+      setStatus(data.message || 'Dziękujemy! Odezwiemy się wkrótce.');
+    } catch (err) {
+      console.error('Failed to send inquiry', err);
+      setStatus('Błąd połączenia. Spróbuj ponownie lub zadzwoń do nas.', true);
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  });
+}
+
+// Show "termin wolny/zajęty" under the inquiry form's date field. The date
+// counts as free when at least one type of equipment is still available;
+// otherwise the busy types are listed.
+async function showAvailability(date) {
+  const el = document.querySelector('.inquiry-availability');
+  if (!el) return;
+  el.textContent = '';
+  el.classList.remove('free', 'busy');
+  if (!date) return;
+  try {
+    const res = await fetch(`${BACKEND_BASE}/api/availability?date=${encodeURIComponent(date)}`);
+    if (!res.ok) return;
+    const data = await res.json();
+    const busy = data.types.filter(t => !t.available).map(t => t.type);
+    if (!data.available) {
+      el.textContent = 'Termin zajęty';
+    } else if (busy.length) {
+      el.textContent = `Termin wolny (zajęte: ${busy.join(', ')})`;
+    } else {
+      el.textContent = 'Termin wolny';
+    }
+    el.classList.add(data.available ? 'free' : 'busy');
+  } catch (err) {
+    console.error('Failed to check availability', err);
+  }
+}
+
+// Quote calculator. Loads the page's pricing, lists the priced offers and
+// locations and asks the backend for an itemised estimate whenever the
+// selection changes. The section stays hidden when nothing is priced.
+function initQuoteCalculator(pageId) {
+  const section = document.querySelector('.quote-section');
+  const form = document.querySelector('.quote-calculator');
+  if (!section || !form) return;
+  fetch(`${BACKEND_BASE}/api/pricing?pageId=${pageId}`)
+    .then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(pricing => {
+      const priced = pricing.offers.filter(o => o.base_price > 0 || o.hourly_rate > 0);
+      if (priced.length === 0) return;
+      const offersContainer = form.querySelector('.quote-offers');
+      offersContainer.innerHTML = '';
+      priced.forEach(offer => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'offer_ids';
+        checkbox.value = offer.id;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' ' + offer.title));
+        offersContainer.appendChild(label);
+      });
+      const locationSelect = form.querySelector('[name="location_id"]');
+      pricing.locations.forEach(loc => {
+        const option = document.createElement('option');
+        option.value = loc.id;
+        option.textContent = loc.name;
+        locationSelect.appendChild(option);
+      });
+      section.style.display = '';
+      let timer = null;
+      const refresh = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => updateQuote(pageId, form), 300);
+      };
+      form.addEventListener('change', refresh);
+      form.addEventListener('input', refresh);
+      form.addEventListener('submit', e => e.preventDefault());
+      if (typeof ScrollTrigger !== 'undefined') {
+        ScrollTrigger.refresh();
+      }
+    })
+    .catch(err => console.error('Failed to load pricing', err));
+}
+
+async function updateQuote(pageId, form) {
+  const items = form.querySelector('.quote-items');
+  const total = form.querySelector('.quote-total');
+  const formData = new FormData(form);
+  const offerIds = formData.getAll('offer_ids').map(Number);
+  items.innerHTML = '';
+  total.textContent = '';
+  if (offerIds.length === 0) return;
+  try {
+    const res = await fetch(`${BACKEND_BASE}/api/quote?pageId=${pageId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        offer_ids: offerIds,
+        hours: formData.get('hours'),
+        event_date: formData.get('event_date'),
+        location_id: formData.get('location_id')
+      })
+    });
+    const quote = await res.json();
+    if (!res.ok) {
+      total.textContent = quote.message || '';
+      return;
+    }
+    const format = amount => amount.toLocaleString('pl-PL', { style: 'currency', currency: quote.currency });
+    quote.items.forEach(item => {
+      const li = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = item.label;
+      const amount = document.createElement('span');
+      amount.textContent = format(item.amount);
+      li.appendChild(label);
+      li.appendChild(amount);
+      items.appendChild(li);
+    });
+    total.textContent = format(quote.total);
+  } catch (err) {
+    console.error('Failed to calculate quote', err);
+  }
+}
@@ -1,5 +1,26 @@
 document.addEventListener('DOMContentLoaded', () => {
   const form = document.querySelector('.login-form');
+  const twoFactorForm = document.querySelector('.two-factor-form');
+  const passwordForm = document.querySelector('.password-change-form');
+  // Credentials kept while the user sets a new password on first login
+  let pendingChange = null;
+  // Password and challenge token kept between the two login steps
+  let pendingLogin = null;
+
+  // Store the session, or move on to the password change it requires
+  function finishLogin(data, password) {
+    if (data.password_change_required) {
+      pendingChange = { token: data.token, password };
+      form.style.display = 'none';
+      twoFactorForm.style.display = 'none';
+      passwordForm.style.display = '';
+      return;
+    }
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refresh_token);
+    window.location.href = '/adminPanel/adminPanel.html';
+  }
+
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
     const username = document.getElementById('login').value;
@@ -11,11 +32,74 @@ document.addEventListener('DOMContentLoaded', () => {
         body: JSON.stringify({ username, password })
       });
       if (!resp.ok) {
-        alert('Błędny login lub hasło');
+        // Wrong credentials and throttled attempts both explain themselves
+        const error = await resp.json().catch(() => ({}));
+        alert(error.message || 'Błędny login lub hasło');
+        return;
+      }
+      const data = await resp.json();
+      if (data.two_factor_required) {
+        pendingLogin = { challengeToken: data.challenge_token, password };
+        form.style.display = 'none';
+        twoFactorForm.style.display = '';
+        document.getElementById('two-factor-code').focus();
         return;
       }
+      finishLogin(data, password);
+    } catch (error) {
+      console.error(error);
+      alert('Błąd połączenia');
+    }
+  });
+
+  twoFactorForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      const resp = await fetch('http://localhost:4000/api/login/2fa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          challenge_token: pendingLogin.challengeToken,
+          code: document.getElementById('two-factor-code').value
+        })
+      });
       const data = await resp.json();
+      if (!resp.ok) {
+        alert(data.message || 'Nieprawidłowy kod');
+        // An expired challenge means starting over from the password
+        if (data.restart) window.location.reload();
+        return;
+      }
+      finishLogin(data, pendingLogin.password);
+    } catch (error) {
+      console.error(error);
+      alert('Błąd połączenia');
+    }
+  });
+
+  passwordForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const newPassword = document.getElementById('new-password').value;
+    if (newPassword !== document.getElementById('new-password-repeat').value) {
+      alert('Hasła nie są takie same');
+      return;
+    }
+    try {
+      const resp = await fetch('http://localhost:4000/api/account/password', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': 'Bearer ' + pendingChange.token
+        },
+        body: JSON.stringify({ current_password: pendingChange.password, new_password: newPassword })
+      });
+      const data = await resp.json();
+      if (!resp.ok) {
+        alert(data.message || 'Błąd zmiany hasła');
+        return;
+      }
       localStorage.setItem('token', data.token);
+      localStorage.setItem('refreshToken', data.refresh_token);
       window.location.href = '/adminPanel/adminPanel.html';
     } catch (error) {
       console.error(error);
@@ -3,21 +3,27 @@
     let currentIndex = 1; // Start from center image
     let isAnimating = false; // Prevent animation overlap
 
-    // Initialize gallery from DOM
-    function initializeGallery() {
+    // Initialize gallery from the given items ({ src, srcset, sizes, alt,
+    // caption }) or,
+    // without them, from the DOM
+    function initializeGallery(items) {
         const slideImages = document.querySelectorAll(".image-slide img");
         galleryImages = [];
 
-        slideImages.forEach((img, index) => {
-                // Get src from data-src if available (lazy loading) or src
-                const imageSrc = img.dataset.src || img.src;
-                if (imageSrc) {
-                        galleryImages.push({
-                                src: imageSrc,
-                                alt: img.alt || `Gallery image ${index + 1}`,
-                        });
-                }
-        });
+        if (Array.isArray(items)) {
+                galleryImages = items.slice();
+        } else {
+                slideImages.forEach((img, index) => {
+                        // Get src from data-src if available (lazy loading) or src
+                        const imageSrc = img.dataset.src || img.src;
+                        if (imageSrc) {
+                                galleryImages.push({
+                                        src: imageSrc,
+                                        alt: img.alt || `Gallery image ${index + 1}`,
+                                });
+                        }
+                });
+        }
 
         // If we have fewer than 3 images, duplicate them to ensure smooth carousel
         const originalLength = galleryImages.length;
@@ -35,6 +41,7 @@
         if (galleryImages.length > 0) {
                 currentIndex = galleryImages.length > 1 ? 1 : 0;
         }
+        updateGalleryCaption();
 
         // Preload images for better performance
         preloadGalleryImages();
@@ -50,6 +57,11 @@
                                 link.rel = "preload";
                                 link.as = "image";
                                 link.href = img.src;
+                                // Let the browser preload the same variant the slide picks
+                                if (img.srcset) {
+                                        link.imageSrcset = img.srcset;
+                                        link.imageSizes = img.sizes || "";
+                                }
                                 document.head.appendChild(link);
                         });
                 });
@@ -58,12 +70,24 @@
                 setTimeout(() => {
                         galleryImages.forEach((img) => {
                                 const preloader = new Image();
+                                if (img.srcset) {
+                                        preloader.srcset = img.srcset;
+                                        preloader.sizes = img.sizes || "";
+                                }
                                 preloader.src = img.src;
                         });
                 }, 100);
         }
     }
 
+    // Show the caption of the center image below the carousel
+    function updateGalleryCaption() {
+        const caption = document.querySelector(".gallery-caption");
+        if (!caption) return;
+        const current = galleryImages[currentIndex];
+        caption.textContent = (current && current.caption) || "";
+    }
+
     function updateCarousel() {
         if (isAnimating || galleryImages.length === 0) return; // Prevent animation overlap
 
@@ -100,7 +124,7 @@
                 // Change image sources with error handling
                 .call(() => {
                         // Helper function to load image with fallback
-                        const loadImageSafely = (imgElement, src, alt) => {
+                        const loadImageSafely = (imgElement, image) => {
                                 if (!imgElement) return;
 
                                 imgElement.onload = () => {
@@ -109,7 +133,8 @@
 
                                 imgElement.onerror = () => {
                                         // Fallback to a default image if loading fails
-                                        console.warn("Failed to load image:", src);
+                                        console.warn("Failed to load image:", image.src);
+                                        imgElement.srcset = "";
                                         imgElement.src =
                                                 "data:image/svg+xml;base64," +
                                                 btoa(
@@ -118,25 +143,16 @@
                                         imgElement.classList.add("loaded");
                                 };
 
-                                imgElement.src = src;
-                                imgElement.alt = alt;
+                                imgElement.srcset = image.srcset || "";
+                                if (image.sizes) imgElement.sizes = image.sizes;
+                                imgElement.src = image.src;
+                                imgElement.alt = image.alt;
                         };
 
-                        loadImageSafely(
-                                leftSlide,
-                                galleryImages[leftIndex].src,
-                                galleryImages[leftIndex].alt
-                        );
-                        loadImageSafely(
-                                centerSlide,
-                                galleryImages[currentIndex].src,
-                                galleryImages[currentIndex].alt
-                        );
-                        loadImageSafely(
-                                rightSlide,
-                                galleryImages[rightIndex].src,
-                                galleryImages[rightIndex].alt
-                        );
+                        loadImageSafely(leftSlide, galleryImages[leftIndex]);
+                        loadImageSafely(centerSlide, galleryImages[currentIndex]);
+                        loadImageSafely(rightSlide, galleryImages[rightIndex]);
+                        updateGalleryCaption();
                 })
                 // Fade in with enhanced 3D effects
                 .to(
@@ -294,6 +310,75 @@
         }
     }
 
+    // Offer cards ("Nasza oferta") - scroll and hover animations.
+    // dataLoader.js re-renders the cards from the backend, so this can be
+    // called again after the DOM changes; triggers bound to the previous
+    // cards are killed first.
+    let offerCardTriggers = [];
+
+    function initializeOfferCards() {
+        offerCardTriggers.forEach((trigger) => trigger.kill());
+        offerCardTriggers = [];
+
+        gsap.set(".offer-card", { opacity: 0, y: 100, rotateX: -30 });
+
+        // Offer cards animation with staggered 3D effects
+        offerCardTriggers = ScrollTrigger.batch(".offer-card", {
+                onEnter: (elements) => {
+                        gsap.to(elements, {
+                                opacity: 1,
+                                y: 0,
+                                rotateX: 0,
+                                duration: 1,
+                                stagger: 0.2,
+                                ease: "back.out(1.4)",
+                                transformOrigin: "center bottom",
+                        });
+                },
+                onLeave: (elements) => {
+                        gsap.to(elements, {
+                                opacity: 0.3,
+                                y: 50,
+                                duration: 0.5,
+                                stagger: 0.1,
+                                ease: "power2.inOut",
+                        });
+                },
+                onEnterBack: (elements) => {
+                        gsap.to(elements, {
+                                opacity: 1,
+                                y: 0,
+                                duration: 0.8,
+                                stagger: 0.1,
+                                ease: "power2.out",
+                        });
+                },
+                start: "top bottom-=100",
+                end: "bottom top+=100",
+        });
+
+        // Hover animations
+        document.querySelectorAll(".offer-card").forEach((card) => {
+                card.addEventListener("mouseenter", () => {
+                        gsap.to(card, {
+                                scale: 1.03,
+                                y: -10,
+                                duration: 0.4,
+                                ease: "power2.out",
+                        });
+                });
+
+                card.addEventListener("mouseleave", () => {
+                        gsap.to(card, {
+                                scale: 1,
+                                y: 0,
+                                duration: 0.4,
+                                ease: "power2.out",
+                        });
+                });
+        });
+    }
+
     // Add scroll handling
     document.addEventListener("DOMContentLoaded", function () {
         const header = document.querySelector(".header");
@@ -460,7 +545,6 @@
         gsap.set(".social-icons a", { opacity: 0, y: -20, rotation: -180 });
         gsap.set(".photo-frame", { opacity: 0, scale: 0.8, rotation: 0 });
         gsap.set(".contact-item", { opacity: 0, x: -50 });
-        gsap.set(".offer-card", { opacity: 0, y: 100, rotateX: -30 });
         gsap.set(".stat-card", { opacity: 0, y: -30 });
         gsap.set(".welcome-header h2", { opacity: 0, y: 50 });
         gsap.set(".welcome-header p", { opacity: 0, y: 30 });
@@ -600,40 +684,8 @@
                         "-=0.4"
                 );
 
-        // Offer cards animation with staggered 3D effects
-        ScrollTrigger.batch(".offer-card", {
-                onEnter: (elements) => {
-                        gsap.to(elements, {
-                                opacity: 1,
-                                y: 0,
-                                rotateX: 0,
-                                duration: 1,
-                                stagger: 0.2,
-                                ease: "back.out(1.4)",
-                                transformOrigin: "center bottom",
-                        });
-                },
-                onLeave: (elements) => {
-                        gsap.to(elements, {
-                                opacity: 0.3,
-                                y: 50,
-                                duration: 0.5,
-                                stagger: 0.1,
-                                ease: "power2.inOut",
-                        });
-                },
-                onEnterBack: (elements) => {
-                        gsap.to(elements, {
-                                opacity: 1,
-                                y: 0,
-                                duration: 0.8,
-                                stagger: 0.1,
-                                ease: "power2.out",
-                        });
-                },
-                start: "top bottom-=100",
-                end: "bottom top+=100",
-        });
+        // Offer cards animation and hover effects
+        initializeOfferCards();
 
         // Stats section with counter animation
         const statCards = document.querySelectorAll(".stat-card");
@@ -726,27 +778,6 @@
                         "-=0.6"
                 );
 
-        // Hover animations for interactive elements
-        document.querySelectorAll(".offer-card").forEach((card) => {
-                card.addEventListener("mouseenter", () => {
-                        gsap.to(card, {
-                                scale: 1.03,
-                                y: -10,
-                                duration: 0.4,
-                                ease: "power2.out",
-                        });
-                });
-
-                card.addEventListener("mouseleave", () => {
-                        gsap.to(card, {
-                                scale: 1,
-                                y: 0,
-                                duration: 0.4,
-                                ease: "power2.out",
-                        });
-                });
-        });
-
         // Initialize dynamic gallery and carousel
         initializeGallery();
         updateCarousel();